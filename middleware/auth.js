@@ -1,20 +1,24 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
-// Protect routes - verify JWT token
-const protect = async (req, res, next) => {
-  try {
-    let token;
+// Token from the Authorization header, or else the login cookie
+const tokenFromRequest = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
 
-    // Check for token in headers
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
+  return req.cookies && req.cookies.token;
+};
 
-    // Check for token in cookies
-    if (!token && req.cookies.token) {
-      token = req.cookies.token;
-    }
+// Browsers' EventSource cannot send headers, so event streams may also
+// pass the token as ?token=
+const tokenFromStreamRequest = (req) => tokenFromRequest(req) ||
+  (typeof req.query.token === 'string' ? req.query.token : undefined);
+
+// Verify JWT token with the token found by `getToken`
+const authenticate = (getToken) => async (req, res, next) => {
+  try {
+    const token = getToken(req);
 
     if (!token) {
       return res.status(401).json({
@@ -61,6 +65,12 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Protect routes - verify JWT token
+const protect = authenticate(tokenFromRequest);
+
+// Protect event streams, which also take the token in the query string
+const protectStream = authenticate(tokenFromStreamRequest);
+
 // Grant access to specific roles
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -83,7 +93,7 @@ const optionalAuth = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
     }
 
-    if (req.cookies.token) {
+    if (req.cookies && req.cookies.token) {
       token = req.cookies.token;
     }
 
@@ -110,6 +120,7 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   protect,
+  protectStream,
   authorize,
   optionalAuth
 };
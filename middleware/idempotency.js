@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { optionalAuth } = require('./auth');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const MAX_KEY_LENGTH = 255;
+// Response headers clients act on, stored and sent again with a replay
+const REPLAYED_HEADERS = ['ETag', 'Location'];
+
+// Hours a key and its stored response are kept
+const getTtlHours = () => Math.max(parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24, 1);
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Fingerprint of the method, path, body fields and uploaded files (by
+// content, once multer has read them into memory)
+const hashRequest = (req) => {
+  const files = [].concat(req.file || [], Array.isArray(req.files) ? req.files : [])
+    .map(file => [file.fieldname, file.originalname, sha256(file.buffer)]);
+
+  return sha256(JSON.stringify([req.method, req.originalUrl, req.body, files]));
+};
+
+const handleIdempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key || !MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key cannot be more than ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  // Keys belong to a user; requests without one are left to the route
+  if (!req.user) {
+    await new Promise(resolve => optionalAuth(req, res, resolve));
+  }
+  if (!req.user) {
+    return next();
+  }
+
+  const requestHash = hashRequest(req);
+  let record;
+
+  try {
+    record = await IdempotencyKey.create({
+      user: req.user._id,
+      key,
+      requestHash,
+      expiresAt: new Date(Date.now() + getTtlHours() * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+
+    if (existing && existing.requestHash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        message: 'This Idempotency-Key was already used for a different request'
+      });
+    }
+
+    if (!existing || existing.status === 'processing') {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+
+    res.set({ ...existing.responseHeaders, 'Idempotent-Replayed': 'true' });
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Keep the first successful response; anything else frees the key, since
+  // nothing changed and the client may retry
+  const json = res.json.bind(res);
+  let responseBody;
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+
+  res.on('close', () => {
+    const succeeded = responseBody !== undefined && res.writableFinished &&
+      res.statusCode >= 200 && res.statusCode < 300;
+
+    const responseHeaders = {};
+    REPLAYED_HEADERS.forEach(name => {
+      if (res.get(name) !== undefined) responseHeaders[name] = res.get(name);
+    });
+
+    const saved = succeeded
+      ? IdempotencyKey.updateOne({ _id: record._id }, {
+        $set: {
+          status: 'completed',
+          responseStatus: res.statusCode,
+          responseHeaders,
+          responseBody: JSON.parse(JSON.stringify(responseBody))
+        }
+      })
+      : IdempotencyKey.deleteOne({ _id: record._id });
+
+    saved.catch(error => console.error('Idempotency key save error:', error));
+  });
+
+  next();
+};
+
+const runIdempotency = (req, res, next) => {
+  handleIdempotency(req, res, next).catch(error => {
+    console.error('Idempotency middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  });
+};
+
+// Honour an Idempotency-Key header on mutating requests: the first
+// successful response is stored per user and key and replayed for retries.
+// Uploads are left to idempotentUpload, since their files are not read yet.
+const idempotency = (req, res, next) => {
+  if (req.is('multipart/form-data')) return next();
+  runIdempotency(req, res, next);
+};
+
+// The same for upload routes, placed after multer so a retry only replays
+// when it sends the same files and fields
+const idempotentUpload = (req, res, next) => runIdempotency(req, res, next);
+
+module.exports = {
+  idempotency,
+  idempotentUpload
+};
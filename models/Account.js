@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { tombstonePlugin } = require('../utils/tombstones');
+
+const accountSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Account name is required'],
+    trim: true,
+    maxlength: [50, 'Account name cannot be more than 50 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Account type is required'],
+    enum: ['checking', 'savings', 'credit_card', 'cash', 'investment', 'loan', 'other']
+  },
+  openingBalance: {
+    type: Number,
+    default: 0
+  },
+  openingDate: {
+    type: Date,
+    default: Date.now
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD',
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  icon: {
+    type: String,
+    default: '🏦'
+  },
+  color: {
+    type: String,
+    default: '#3B82F6'
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+accountSchema.index({ user: 1, isArchived: 1 });
+accountSchema.index({ user: 1, name: 1 }, { unique: true });
+
+// Ensure user can't have duplicate account names
+accountSchema.pre('save', async function(next) {
+  if (this.isNew || this.isModified('name')) {
+    const existingAccount = await this.constructor.findOne({
+      user: this.user,
+      name: this.name,
+      _id: { $ne: this._id }
+    });
+
+    if (existingAccount) {
+      const error = new Error('Account with this name already exists');
+      error.statusCode = 400;
+      return next(error);
+    }
+  }
+  next();
+});
+
+accountSchema.plugin(tombstonePlugin, { entityType: 'Account' });
+
+module.exports = mongoose.model('Account', accountSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // Owner of the changed record
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Who made the change; empty for scheduled jobs
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  entityType: {
+    type: String,
+    required: true,
+    enum: ['Transaction', 'Category']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Increments with every change to the same record, starting at 1
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['create', 'update', 'delete', 'restore', 'purge', 'revert']
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // Tracked fields of the record after the change (before it, for a purge)
+  snapshot: mongoose.Schema.Types.Mixed,
+  revertedTo: Number,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, version: -1 }, { unique: true });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A category's budget that was reported exceeded for a month, so the
+// alert is sent once per month however many transactions follow
+const budgetAlertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: true
+  },
+  // YYYY-MM (UTC)
+  month: {
+    type: String,
+    required: true
+  },
+  budget: Number,
+  spent: Number
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+budgetAlertSchema.index({ user: 1, category: 1, month: 1 }, { unique: true });
+
+module.exports = mongoose.model('BudgetAlert', budgetAlertSchema);
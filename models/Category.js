@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/auditTrail');
+const { tombstonePlugin } = require('../utils/tombstones');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -24,6 +26,12 @@ const categorySchema = new mongoose.Schema({
     type: String,
     maxlength: [200, 'Description cannot be more than 200 characters']
   },
+  // Spending limit per calendar month (expense categories only); going over
+  // it sends a budget.exceeded webhook event
+  monthlyBudget: {
+    type: Number,
+    min: [0, 'Monthly budget cannot be negative']
+  },
   isDefault: {
     type: Boolean,
     default: false
@@ -32,6 +40,11 @@ const categorySchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Id given by an offline client that created the category through sync
+  clientId: {
+    type: String,
+    trim: true
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -44,6 +57,10 @@ const categorySchema = new mongoose.Schema({
 // Index for better query performance
 categorySchema.index({ user: 1, type: 1 });
 categorySchema.index({ user: 1, name: 1 }, { unique: true });
+categorySchema.index(
+  { user: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $exists: true } } }
+);
 
 // Ensure user can't have duplicate category names
 categorySchema.pre('save', async function(next) {
@@ -63,4 +80,10 @@ categorySchema.pre('save', async function(next) {
   next();
 });
 
+categorySchema.plugin(auditPlugin, {
+  entityType: 'Category',
+  fields: ['name', 'type', 'icon', 'color', 'description', 'monthlyBudget', 'isDefault', 'isActive']
+});
+categorySchema.plugin(tombstonePlugin, { entityType: 'Category' });
+
 module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// Every rate is quoted against this currency: 1 unit of the base buys `rate`
+// units of `currency`. The base itself has an implicit rate of 1.
+const RATE_BASE = (process.env.EXCHANGE_RATE_BASE || 'USD').toUpperCase();
+
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  // UTC midnight of the day the rate applies from
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be greater than 0']
+  },
+  source: {
+    type: String,
+    trim: true,
+    default: 'manual'
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ currency: 1, date: -1 }, { unique: true });
+
+exchangeRateSchema.statics.RATE_BASE = RATE_BASE;
+
+// Aggregation stages that set `field` to the rate of the currency given by
+// `currencyExpr` on the document's date: the latest rate on or before that
+// date, else the earliest rate after it, else null
+exchangeRateSchema.statics.rateStages = function(currencyExpr, field) {
+  const lookup = (comparison, direction, as) => ({
+    $lookup: {
+      from: this.collection.name,
+      let: { currency: currencyExpr, date: '$date' },
+      pipeline: [
+        {
+          $match: {
+            $expr: {
+              $and: [
+                { $eq: ['$currency', '$$currency'] },
+                { [comparison]: ['$date', '$$date'] }
+              ]
+            }
+          }
+        },
+        { $sort: { date: direction } },
+        { $limit: 1 },
+        { $project: { _id: 0, rate: 1 } }
+      ],
+      as
+    }
+  });
+
+  return [
+    lookup('$lte', -1, `${field}Before`),
+    lookup('$gt', 1, `${field}After`),
+    {
+      $addFields: {
+        [field]: {
+          $cond: [
+            { $eq: [currencyExpr, RATE_BASE] },
+            1,
+            {
+              $ifNull: [
+                { $first: `$${field}Before.rate` },
+                { $ifNull: [{ $first: `$${field}After.rate` }, null] }
+              ]
+            }
+          ]
+        }
+      }
+    },
+    { $project: { [`${field}Before`]: 0, [`${field}After`]: 0 } }
+  ];
+};
+
+// Static method to get a currency's rate against RATE_BASE on a date, using
+// the same fallback as rateStages
+exchangeRateSchema.statics.getRate = async function(currency, date = new Date()) {
+  if (currency === RATE_BASE) return 1;
+
+  const rate = await this.findOne({ currency, date: { $lte: date } }).sort({ date: -1 }) ||
+    await this.findOne({ currency, date: { $gt: date } }).sort({ date: 1 });
+
+  return rate ? rate.rate : null;
+};
+
+// Static method to convert an amount between currencies on a date. Returns
+// null when either currency has no rates.
+exchangeRateSchema.statics.convert = async function(amount, from, to, date = new Date()) {
+  if (from === to) return amount;
+
+  const [fromRate, toRate] = await Promise.all([
+    this.getRate(from, date),
+    this.getRate(to, date)
+  ]);
+
+  if (!fromRate || !toRate) return null;
+  return amount * toRate / fromRate;
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
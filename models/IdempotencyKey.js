@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // Hash of the method, path and body, to spot a key reused for another request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  // Processing until the first response is stored
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: Number,
+  // ETag and Location of the stored response, by header name
+  responseHeaders: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  responseBody: mongoose.Schema.Types.Mixed,
+  // MongoDB removes the key once this passes
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
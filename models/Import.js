@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const importSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  source: {
+    type: String,
+    required: true,
+    enum: ['csv', 'ofx', 'qif']
+  },
+  filename: {
+    type: String,
+    trim: true
+  },
+  // Committing while one request creates the transactions
+  status: {
+    type: String,
+    enum: ['preview', 'committing', 'committed', 'rolled_back'],
+    default: 'preview'
+  },
+  headers: [String],
+  rows: {
+    type: [[String]],
+    select: false
+  },
+  content: {
+    type: String,
+    select: false
+  },
+  statements: [{
+    account: String,
+    accountType: String,
+    currency: String,
+    transactions: Number
+  }],
+  mapping: {
+    title: String,
+    amount: String,
+    debit: String,
+    credit: String,
+    date: String,
+    type: { type: String },
+    category: String,
+    description: String,
+    notes: String,
+    tags: String,
+    currency: String
+  },
+  options: {
+    dateFormat: {
+      type: String,
+      enum: ['auto', 'YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY', 'DD-MM-YYYY', 'MM-DD-YYYY'],
+      default: 'auto'
+    },
+    decimalSeparator: {
+      type: String,
+      enum: ['.', ','],
+      default: '.'
+    },
+    negativeIs: {
+      type: String,
+      enum: ['expense', 'income'],
+      default: 'expense'
+    },
+    defaultIncomeCategory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    },
+    defaultExpenseCategory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    },
+    skipDuplicates: {
+      type: Boolean,
+      default: true
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+    }
+  },
+  summary: {
+    total: { type: Number, default: 0 },
+    imported: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  rowErrors: [{
+    row: Number,
+    message: String
+  }],
+  committedAt: Date,
+  rolledBackAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+importSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Import', importSchema);
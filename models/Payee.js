@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { tombstonePlugin } = require('../utils/tombstones');
+
+// Lowercase letters and digits only, dropping store numbers and the like,
+// so "STARBUCKS #1234" and "Starbucks" compare equal
+const normalizePayeeName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .split(' ')
+  .filter(word => word && !/^\d+$/.test(word))
+  .join(' ');
+
+const payeeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Payee name is required'],
+    trim: true,
+    maxlength: [100, 'Payee name cannot be more than 100 characters']
+  },
+  // Other spellings of the payee, e.g. "AMZN Mktp" for "Amazon"
+  aliases: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Alias cannot be more than 100 characters']
+  }],
+  // Normalized name and aliases, used to match transaction titles
+  keys: [String],
+  // Used for new transactions of this payee that come without a category
+  defaultCategory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  logo: {
+    type: String,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+payeeSchema.index({ user: 1, name: 1 });
+payeeSchema.index({ user: 1, keys: 1 }, { unique: true });
+
+payeeSchema.statics.normalizeName = normalizePayeeName;
+
+// Derive the match keys and make sure no other payee already uses them
+payeeSchema.pre('save', async function(next) {
+  if (this.isNew || this.isModified('name') || this.isModified('aliases')) {
+    this.keys = [...new Set([this.name, ...this.aliases].map(normalizePayeeName).filter(Boolean))];
+
+    if (this.keys.length === 0) {
+      const error = new Error('Payee name must contain letters');
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    const existingPayee = await this.constructor.findOne({
+      user: this.user,
+      keys: { $in: this.keys },
+      _id: { $ne: this._id }
+    });
+
+    if (existingPayee) {
+      const error = new Error(`Payee "${existingPayee.name}" already uses this name or alias`);
+      error.statusCode = 400;
+      return next(error);
+    }
+  }
+
+  if (this.defaultCategory && (this.isNew || this.isModified('defaultCategory'))) {
+    const Category = mongoose.model('Category');
+    const category = await Category.findOne({
+      _id: this.defaultCategory,
+      user: this.user,
+      isActive: true
+    });
+
+    if (!category) {
+      const error = new Error('Category not found or does not belong to user');
+      error.statusCode = 400;
+      return next(error);
+    }
+  }
+
+  next();
+});
+
+payeeSchema.plugin(tombstonePlugin, { entityType: 'Payee' });
+
+module.exports = mongoose.model('Payee', payeeSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Hours events are kept for clients reconnecting with a Last-Event-ID
+const REPLAY_HOURS = Math.max(parseInt(process.env.REALTIME_REPLAY_HOURS) || 24, 1);
+
+const realtimeEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// Ids grow with time, so a client's last event id marks what it has seen
+realtimeEventSchema.index({ user: 1, _id: 1 });
+realtimeEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: REPLAY_HOURS * 60 * 60 });
+
+realtimeEventSchema.statics.REPLAY_HOURS = REPLAY_HOURS;
+
+module.exports = mongoose.model('RealtimeEvent', realtimeEventSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const reconciliationSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'Account is required']
+  },
+  // Last day covered by the bank statement
+  statementDate: {
+    type: Date,
+    required: [true, 'Statement date is required']
+  },
+  closingBalance: {
+    type: Number,
+    required: [true, 'Closing balance is required']
+  },
+  // Closing balance of the previous reconciliation, or the account's
+  // opening balance for the first one
+  startingBalance: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+reconciliationSchema.index({ user: 1, account: 1, statementDate: -1 });
+
+// Static method to get the last finished reconciliation of an account
+reconciliationSchema.statics.findLastCompleted = function(userId, accountId, excludeId) {
+  const filter = { user: userId, account: accountId, status: 'completed' };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return this.findOne(filter).sort({ statementDate: -1 });
+};
+
+// Check the account, allow one open reconciliation per account and pick up
+// where the last finished one left off
+reconciliationSchema.pre('save', async function(next) {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  };
+
+  if (this.isNew) {
+    const Account = mongoose.model('Account');
+    const account = await Account.findOne({ _id: this.account, user: this.user });
+
+    if (!account) {
+      return next(fail('Account not found or does not belong to user'));
+    }
+
+    const open = await this.constructor.findOne({
+      user: this.user,
+      account: this.account,
+      status: 'in_progress',
+      _id: { $ne: this._id }
+    });
+
+    if (open) {
+      return next(fail('This account already has a reconciliation in progress'));
+    }
+
+    const last = await this.constructor.findLastCompleted(this.user, this.account, this._id);
+    this.startingBalance = last ? last.closingBalance : account.openingBalance;
+  }
+
+  if (this.isNew || this.isModified('statementDate')) {
+    const last = await this.constructor.findLastCompleted(this.user, this.account, this._id);
+
+    if (last && this.statementDate <= last.statementDate) {
+      return next(fail('Statement date must be after the last reconciled statement'));
+    }
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('Reconciliation', reconciliationSchema);
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const { tombstonePlugin } = require('../utils/tombstones');
+
+const PATTERN_OPERATORS = ['contains', 'equals', 'startsWith', 'endsWith'];
+
+// A text condition on a transaction field, compared case-insensitively
+const patternSchema = new mongoose.Schema({
+  operator: {
+    type: String,
+    enum: PATTERN_OPERATORS,
+    default: 'contains'
+  },
+  value: {
+    type: String,
+    required: [true, 'Pattern value is required'],
+    maxlength: [100, 'Pattern cannot be more than 100 characters']
+  }
+}, { _id: false });
+
+const ruleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [50, 'Rule name cannot be more than 50 characters']
+  },
+  // Rules run from the lowest priority number up
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Skip the remaining rules once this one matches
+  stopProcessing: {
+    type: Boolean,
+    default: false
+  },
+  // Every condition given must hold for the rule to match
+  conditions: {
+    title: patternSchema,
+    description: patternSchema,
+    type: {
+      type: String,
+      enum: ['income', 'expense']
+    },
+    minAmount: {
+      type: Number,
+      min: [0, 'Minimum amount cannot be negative']
+    },
+    maxAmount: {
+      type: Number,
+      min: [0, 'Maximum amount cannot be negative']
+    }
+  },
+  actions: {
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    },
+    addTags: [{
+      type: String,
+      trim: true,
+      maxlength: [30, 'Tag cannot be more than 30 characters']
+    }],
+    setTitle: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Title cannot be more than 100 characters']
+    }
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+ruleSchema.index({ user: 1, isActive: 1, priority: 1 });
+
+ruleSchema.statics.PATTERN_OPERATORS = PATTERN_OPERATORS;
+
+// Ensure a rule has something to match and something to do, and that its
+// category belongs to the user and fits the rule's type
+ruleSchema.pre('save', async function(next) {
+  const { conditions, actions } = this;
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return next(error);
+  };
+
+  if (!conditions.title && !conditions.description && !conditions.type &&
+      conditions.minAmount === undefined && conditions.maxAmount === undefined) {
+    return fail('A rule needs at least one condition');
+  }
+
+  if (conditions.minAmount !== undefined && conditions.maxAmount !== undefined &&
+      conditions.minAmount > conditions.maxAmount) {
+    return fail('Minimum amount cannot be greater than maximum amount');
+  }
+
+  if (!actions.category && actions.addTags.length === 0 && !actions.setTitle) {
+    return fail('A rule needs at least one action');
+  }
+
+  if (actions.category && (this.isNew || this.isModified('actions.category') ||
+      this.isModified('conditions.type'))) {
+    const Category = mongoose.model('Category');
+    const category = await Category.findOne({
+      _id: actions.category,
+      user: this.user,
+      isActive: true
+    });
+
+    if (!category) {
+      return fail('Category not found or does not belong to user');
+    }
+
+    if (conditions.type && conditions.type !== category.type) {
+      return fail('Rule type must match category type');
+    }
+  }
+
+  next();
+});
+
+ruleSchema.plugin(tombstonePlugin, { entityType: 'Rule' });
+
+module.exports = mongoose.model('Rule', ruleSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { tombstonePlugin } = require('../utils/tombstones');
+const { FILTER_PARAMS, parseFilterParams } = require('../utils/transactionFilters');
+
+// Transaction fields a view can show, in the order given
+const COLUMNS = [
+  'date', 'title', 'description', 'amount', 'currency', 'type', 'category', 'account',
+  'status', 'tags', 'location', 'notes', 'attachments'
+];
+const DEFAULT_COLUMNS = ['date', 'title', 'category', 'amount'];
+
+const savedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: [50, 'View name cannot be more than 50 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  // Transaction filter parameters, as accepted by GET /api/transactions
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  sort: {
+    sortBy: {
+      type: String,
+      enum: ['date', 'amount', 'title', 'createdAt', 'relevance'],
+      default: 'date'
+    },
+    sortOrder: {
+      type: String,
+      enum: ['asc', 'desc'],
+      default: 'desc'
+    }
+  },
+  columns: {
+    type: [{
+      type: String,
+      enum: COLUMNS
+    }],
+    default: DEFAULT_COLUMNS
+  },
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  // Position among the pinned views, lowest first
+  pinOrder: {
+    type: Number,
+    default: 0
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Index for better query performance
+savedViewSchema.index({ user: 1, name: 1 }, { unique: true });
+savedViewSchema.index({ user: 1, isPinned: 1, pinOrder: 1 });
+
+savedViewSchema.statics.COLUMNS = COLUMNS;
+
+// Keep only known filter parameters and make sure they are valid
+savedViewSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('filters')) {
+    const filters = this.filters || {};
+    this.filters = FILTER_PARAMS.reduce((kept, param) => {
+      if (filters[param] !== undefined && filters[param] !== '') kept[param] = filters[param];
+      return kept;
+    }, {});
+
+    try {
+      parseFilterParams(this.filters);
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Ensure user can't have duplicate view names
+savedViewSchema.pre('save', async function(next) {
+  if (this.isNew || this.isModified('name')) {
+    const existingView = await this.constructor.findOne({
+      user: this.user,
+      name: this.name,
+      _id: { $ne: this._id }
+    });
+
+    if (existingView) {
+      const error = new Error('View with this name already exists');
+      error.statusCode = 400;
+      return next(error);
+    }
+  }
+  next();
+});
+
+savedViewSchema.plugin(tombstonePlugin, { entityType: 'SavedView' });
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
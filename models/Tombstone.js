@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Days a deletion is remembered for sync clients; a client that last synced
+// before that has to start over
+const TOMBSTONE_DAYS = Math.max(parseInt(process.env.SYNC_TOMBSTONE_DAYS) || 90, 1);
+
+const tombstoneSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  entityType: {
+    type: String,
+    required: true,
+    enum: ['Transaction', 'Category', 'Account', 'Payee', 'Rule', 'SavedView']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+tombstoneSchema.index({ user: 1, deletedAt: 1, _id: 1 });
+tombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: TOMBSTONE_DAYS * 24 * 60 * 60 });
+
+tombstoneSchema.statics.TOMBSTONE_DAYS = TOMBSTONE_DAYS;
+
+module.exports = mongoose.model('Tombstone', tombstoneSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const ExchangeRate = require('./ExchangeRate');
+const { auditPlugin } = require('../utils/auditTrail');
+const { tombstonePlugin } = require('../utils/tombstones');
 
 const transactionSchema = new mongoose.Schema({
   title: {
@@ -19,13 +22,50 @@ const transactionSchema = new mongoose.Schema({
   type: {
     type: String,
     required: [true, 'Transaction type is required'],
-    enum: ['income', 'expense']
+    enum: ['income', 'expense', 'transfer']
   },
   category: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category',
-    required: [true, 'Category is required']
+    required: [function() { return this.type !== 'transfer'; }, 'Category is required']
   },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [function() { return this.type === 'transfer'; }, 'Transfer source account is required']
+  },
+  toAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [function() { return this.type === 'transfer'; }, 'Transfer destination account is required']
+  },
+  // Amount credited to toAccount when the two accounts use different currencies
+  toAmount: {
+    type: Number,
+    min: [0.01, 'Transfer amount must be greater than 0']
+  },
+  // Merchant or person paid (or paying), linked by name or alias
+  payee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payee'
+  },
+  splits: [{
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      required: [true, 'Split category is required']
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Split amount is required'],
+      min: [0.01, 'Split amount must be greater than 0']
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Split note cannot be more than 200 characters']
+    }
+  }],
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -43,16 +83,37 @@ const transactionSchema = new mongoose.Schema({
   }],
   location: {
     name: String,
-    coordinates: {
-      lat: Number,
-      lng: Number
+    // GeoJSON point; coordinates are [longitude, latitude]
+    point: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+        validate: {
+          validator: (value) => !value || (value.length === 2 &&
+            Math.abs(value[0]) <= 180 && Math.abs(value[1]) <= 90),
+          message: 'Coordinates must be [longitude, latitude]'
+        }
+      }
     }
   },
   attachments: [{
     filename: String,
     url: String,
     mimetype: String,
-    size: Number
+    size: Number,
+    key: String,
+    storage: {
+      type: String,
+      enum: ['local', 'cloudinary']
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
   }],
   isRecurring: {
     type: Boolean,
@@ -68,16 +129,83 @@ const transactionSchema = new mongoose.Schema({
       default: 1
     },
     endDate: Date,
-    nextDueDate: Date
+    nextDueDate: Date,
+    isPaused: {
+      type: Boolean,
+      default: false
+    },
+    skippedDates: [Date],
+    overrides: [{
+      date: {
+        type: Date,
+        required: true
+      },
+      title: String,
+      amount: Number,
+      description: String,
+      notes: String
+    }]
+  },
+  recurringSource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  occurrenceDate: Date,
+  import: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Import'
+  },
+  externalId: {
+    type: String,
+    trim: true
+  },
+  importAccount: {
+    type: String,
+    trim: true
+  },
+  // Id given by an offline client that created the transaction through sync
+  clientId: {
+    type: String,
+    trim: true
+  },
+  // Transactions the user marked as not duplicates of this one
+  dismissedDuplicates: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  currency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
   },
   status: {
     type: String,
     enum: ['completed', 'pending', 'cancelled'],
     default: 'completed'
   },
+  // Pending only because it is dated in the future; completed on its date
+  completeOnDate: {
+    type: Boolean,
+    default: false
+  },
+  // The statement reconciliation this transaction was ticked off in
+  reconciliation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reconciliation'
+  },
+  // Set when that reconciliation is finished; the transaction is then locked
+  reconciledAt: {
+    type: Date,
+    default: null
+  },
   notes: {
     type: String,
     maxlength: [1000, 'Notes cannot be more than 1000 characters']
+  },
+  // Set when the transaction is moved to the trash
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -87,23 +215,104 @@ const transactionSchema = new mongoose.Schema({
 transactionSchema.index({ user: 1, date: -1 });
 transactionSchema.index({ user: 1, type: 1, date: -1 });
 transactionSchema.index({ user: 1, category: 1, date: -1 });
+transactionSchema.index({ user: 1, 'splits.category': 1, date: -1 });
+transactionSchema.index({ user: 1, account: 1, date: -1 });
+transactionSchema.index({ user: 1, toAccount: 1, date: -1 });
+transactionSchema.index({ user: 1, payee: 1, date: -1 });
+transactionSchema.index({ status: 1, completeOnDate: 1, date: 1 });
+transactionSchema.index({ reconciliation: 1 });
 transactionSchema.index({ user: 1, amount: -1 });
 transactionSchema.index({ user: 1, tags: 1 });
+transactionSchema.index({ user: 1, import: 1 });
+// Statement imports are idempotent on the bank's transaction id per account
+transactionSchema.index(
+  { user: 1, importAccount: 1, externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $exists: true } } }
+);
+// Sync creates are idempotent on the client's id
+transactionSchema.index(
+  { user: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $exists: true } } }
+);
+transactionSchema.index({ user: 1, updatedAt: 1, _id: 1 });
+transactionSchema.index({ isRecurring: 1, 'recurringPattern.nextDueDate': 1 });
+// One materialized occurrence per template and due date
+transactionSchema.index(
+  { recurringSource: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringSource: { $exists: true } } }
+);
+
+transactionSchema.index({ user: 1, deletedAt: -1 });
+transactionSchema.index({ 'location.point': '2dsphere', user: 1 });
+// Full-text search, scoped to one user's transactions
+transactionSchema.index(
+  { user: 1, title: 'text', description: 'text', tags: 'text', notes: 'text' },
+  { name: 'transaction_text', weights: { title: 10, tags: 5, description: 3, notes: 1 } }
+);
 
 // Virtual for formatted amount
 transactionSchema.virtual('formattedAmount').get(function() {
   return new Intl.NumberFormat('en-US', {
     style: 'currency',
-    currency: 'USD'
+    currency: this.currency || 'USD'
   }).format(this.amount);
 });
 
 // Ensure virtual fields are serialized
 transactionSchema.set('toJSON', { virtuals: true });
 
+// Trashed transactions are hidden from every query and aggregation unless
+// it filters on deletedAt itself or sets the `withDeleted` option
+const excludeDeleted = function() {
+  const options = this.getOptions();
+  if (options.withDeleted) {
+    delete options.withDeleted;
+    return;
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+    this.where({ deletedAt: null });
+  }
+};
+
+transactionSchema.pre(
+  ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'],
+  excludeDeleted
+);
+
+transactionSchema.pre('aggregate', function() {
+  if (this.options.withDeleted) {
+    delete this.options.withDeleted;
+    return;
+  }
+
+  const pipeline = this.pipeline();
+  const filtersDeleted = pipeline.some(stage => stage.$match && 'deletedAt' in stage.$match);
+  if (filtersDeleted) return;
+
+  // $geoNear has to stay the first stage, and a $text match has to stay in
+  // the first $match, so join an existing leading $match instead of adding one
+  const index = pipeline.length > 0 && pipeline[0].$geoNear ? 1 : 0;
+  if (pipeline[index] && pipeline[index].$match) {
+    pipeline[index] = { $match: { ...pipeline[index].$match, deletedAt: null } };
+  } else {
+    pipeline.splice(index, 0, { $match: { deletedAt: null } });
+  }
+});
+
+// New transactions dated in the future are pending until their date,
+// unless a status was given. A validate hook, so imports get it too.
+transactionSchema.pre('validate', function(next) {
+  if (this.isNew && this.$isDefault('status') && this.date > new Date()) {
+    this.status = 'pending';
+    this.completeOnDate = true;
+  }
+  next();
+});
+
 // Pre-save middleware to validate category belongs to user
 transactionSchema.pre('save', async function(next) {
-  if (this.isNew || this.isModified('category')) {
+  if (this.type !== 'transfer' && (this.isNew || this.isModified('category'))) {
     const Category = mongoose.model('Category');
     const category = await Category.findOne({
       _id: this.category,
@@ -126,30 +335,302 @@ transactionSchema.pre('save', async function(next) {
   next();
 });
 
-// Static method to get user's transaction summary
-transactionSchema.statics.getUserSummary = async function(userId, startDate, endDate) {
+// Pre-save middleware to validate split lines
+transactionSchema.pre('save', async function(next) {
+  if (this.splits.length > 0 && (this.isNew || this.isModified('splits') ||
+      this.isModified('amount') || this.isModified('type'))) {
+    try {
+      this.category = await this.constructor.checkSplits(this.user, this.type, this.amount, this.splits);
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Pre-save middleware to schedule the first occurrence of a recurring template
+transactionSchema.pre('save', function(next) {
+  if (this.isRecurring && this.recurringPattern && this.recurringPattern.frequency &&
+      !this.recurringPattern.nextDueDate) {
+    const { getNextOccurrence } = require('../utils/recurringService');
+    this.recurringPattern.nextDueDate = getNextOccurrence(
+      this.date,
+      this.recurringPattern.frequency,
+      this.recurringPattern.interval,
+      this.date
+    );
+  }
+  next();
+});
+
+// Pre-save middleware to validate the accounts a transaction touches
+transactionSchema.pre('save', async function(next) {
+  if (this.isNew || this.isModified('account') || this.isModified('toAccount')) {
+    try {
+      await this.constructor.checkAccounts(this.user, this.type, this.account, this.toAccount);
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Fields of a reconciled transaction that make up the reconciled balance
+const RECONCILED_FIELDS = ['amount', 'type', 'date', 'account', 'toAccount', 'toAmount', 'currency', 'status'];
+
+const sameValue = (current, next) => {
+  if (current instanceof Date) return next !== null && current.getTime() === new Date(next).getTime();
+  if (typeof current === 'number') return current === Number(next);
+  return String(current === undefined || current === null ? '' : current) ===
+    String(next === undefined || next === null ? '' : next);
+};
+
+// Method to refuse changes to a reconciled transaction's balance fields.
+// Pass the updates about to be applied, or nothing for a delete.
+transactionSchema.methods.checkUnlocked = function(updates) {
+  if (!this.reconciledAt) return;
+
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  };
+
+  if (!updates) {
+    throw fail('Reconciled transactions cannot be deleted; reopen the reconciliation first');
+  }
+
+  const changed = RECONCILED_FIELDS.filter(field =>
+    updates[field] !== undefined && !sameValue(this[field], updates[field]));
+  if (changed.length > 0) {
+    throw fail(`Transaction is reconciled; ${changed.join(', ')} cannot be changed`);
+  }
+};
+
+// Static method to validate account references. Accounts must belong to the
+// user and not be archived; a transfer needs two different accounts.
+transactionSchema.statics.checkAccounts = async function(userId, type, accountId, toAccountId) {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  };
+
+  if (type !== 'transfer' && toAccountId) {
+    throw fail('Only transfers can have a destination account');
+  }
+
+  if (type === 'transfer' && String(accountId) === String(toAccountId)) {
+    throw fail('Transfer accounts must be different');
+  }
+
+  const ids = [accountId, toAccountId].filter(Boolean);
+  if (ids.length === 0) return;
+
+  const Account = mongoose.model('Account');
+  const count = await Account.countDocuments({
+    _id: { $in: ids },
+    user: userId,
+    isArchived: false
+  });
+
+  if (count !== ids.length) {
+    throw fail('Account not found, archived or does not belong to user');
+  }
+};
+
+// Aggregation expression for a transaction's effect on an account's
+// balance: income adds, expenses and outgoing transfers subtract and incoming
+// transfers add the credited amount
+transactionSchema.statics.accountAmountExpression = function(accountId) {
+  return {
+    $switch: {
+      branches: [
+        {
+          case: { $and: [{ $eq: ['$type', 'transfer'] }, { $eq: ['$toAccount', accountId] }] },
+          then: { $ifNull: ['$toAmount', '$amount'] }
+        },
+        { case: { $eq: ['$type', 'income'] }, then: '$amount' }
+      ],
+      default: { $multiply: ['$amount', -1] }
+    }
+  };
+};
+
+// Static method to get the net of completed transactions for each account
+transactionSchema.statics.getAccountTotals = async function(userId) {
+  const user = new mongoose.Types.ObjectId(userId);
+
+  const [outgoing, incoming] = await Promise.all([
+    this.aggregate([
+      { $match: { user, status: 'completed', account: { $exists: true, $ne: null } } },
+      {
+        $group: {
+          _id: '$account',
+          total: {
+            $sum: { $cond: [{ $eq: ['$type', 'income'] }, '$amount', { $multiply: ['$amount', -1] }] }
+          },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    this.aggregate([
+      { $match: { user, status: 'completed', type: 'transfer' } },
+      {
+        $group: {
+          _id: '$toAccount',
+          total: { $sum: { $ifNull: ['$toAmount', '$amount'] } },
+          count: { $sum: 1 }
+        }
+      }
+    ])
+  ]);
+
+  const totals = new Map();
+  [...outgoing, ...incoming].forEach(item => {
+    const current = totals.get(String(item._id)) || { total: 0, count: 0 };
+    totals.set(String(item._id), {
+      total: current.total + item.total,
+      count: current.count + item.count
+    });
+  });
+
+  return totals;
+};
+
+// Static method to validate split lines against their parent transaction.
+// Each split category must belong to the user and match the transaction type,
+// and the lines must sum to the parent amount. Returns the category of the
+// largest line, which becomes the parent's category.
+transactionSchema.statics.checkSplits = async function(userId, type, amount, splits) {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  };
+
+  if (splits.length < 2) {
+    throw fail('A split transaction needs at least two lines');
+  }
+
+  const total = splits.reduce((sum, split) => sum + Number(split.amount), 0);
+  if (Math.abs(total - amount) > 0.005) {
+    throw fail(`Split amounts (${total.toFixed(2)}) must add up to the transaction amount (${Number(amount).toFixed(2)})`);
+  }
+
+  const Category = mongoose.model('Category');
+  const categoryIds = [...new Set(splits.map(split => String(split.category)))];
+  const categories = await Category.find({
+    _id: { $in: categoryIds },
+    user: userId,
+    isActive: true
+  });
+
+  if (categories.length !== categoryIds.length) {
+    throw fail('Split category not found or does not belong to user');
+  }
+
+  if (categories.some(category => category.type !== type)) {
+    throw fail('Split categories must match the transaction type');
+  }
+
+  const largest = splits.reduce((max, split) => (Number(split.amount) > Number(max.amount) ? split : max));
+  return largest.category;
+};
+
+// Aggregation stages that turn each matched transaction into one line per
+// category: a split transaction yields its split lines, any other
+// transaction a single line for its own category
+transactionSchema.statics.categoryLineStages = function() {
+  return [
+    {
+      $addFields: {
+        line: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+            '$splits',
+            [{ category: '$category', amount: '$amount' }]
+          ]
+        }
+      }
+    },
+    { $unwind: '$line' },
+    // Lines are in the transaction's currency; convert them alongside it
+    { $addFields: { 'line.amount': { $multiply: ['$line.amount', { $ifNull: ['$baseRate', 1] }] } } }
+  ];
+};
+
+// Aggregation stages that convert each transaction to `baseCurrency` using
+// the exchange rates on its date. Sets `baseRate` and `baseAmount`; amounts in
+// a currency with no rates are left unconverted.
+transactionSchema.statics.currencyStages = function(baseCurrency) {
+  return [
+    { $addFields: { txCurrency: { $ifNull: ['$currency', baseCurrency] } } },
+    ...ExchangeRate.rateStages('$txCurrency', 'fromRate'),
+    ...ExchangeRate.rateStages(baseCurrency, 'toRate'),
+    {
+      $addFields: {
+        baseRate: {
+          $cond: [
+            {
+              $or: [
+                { $eq: ['$txCurrency', baseCurrency] },
+                { $eq: ['$fromRate', null] },
+                { $eq: ['$toRate', null] }
+              ]
+            },
+            1,
+            { $divide: ['$toRate', '$fromRate'] }
+          ]
+        }
+      }
+    },
+    { $addFields: { baseAmount: { $multiply: ['$amount', '$baseRate'] } } },
+    { $project: { txCurrency: 0, fromRate: 0, toRate: 0 } }
+  ];
+};
+
+// Static method to get user's transaction summary. `filter` is an optional
+// (already cast) query narrowing the transactions counted; when given, it
+// decides the statuses included instead of the completed-only default.
+transactionSchema.statics.getUserSummary = async function(userId, startDate, endDate, baseCurrency, filter) {
+  // Totals are reported in the user's currency unless told otherwise
+  if (!baseCurrency) {
+    const user = await mongoose.model('User').findById(userId, 'currency');
+    baseCurrency = (user && user.currency) || 'USD';
+  }
+
+  // Transfers move money between accounts and are neither income nor expense
   const matchStage = {
     user: new mongoose.Types.ObjectId(userId),
-    status: 'completed'
+    status: 'completed',
+    type: { $in: ['income', 'expense'] }
   };
   
   if (startDate && endDate) {
     matchStage.date = { $gte: startDate, $lte: endDate };
   }
+
+  if (filter) {
+    if (filter.status) delete matchStage.status;
+    matchStage.$and = [filter];
+  }
   
   const summary = await this.aggregate([
     { $match: matchStage },
+    ...this.currencyStages(baseCurrency),
     {
       $group: {
         _id: '$type',
-        total: { $sum: '$amount' },
+        total: { $sum: '$baseAmount' },
         count: { $sum: 1 },
-        average: { $avg: '$amount' }
+        average: { $avg: '$baseAmount' }
       }
     }
   ]);
   
   const result = {
+    currency: baseCurrency,
     income: { total: 0, count: 0, average: 0 },
     expense: { total: 0, count: 0, average: 0 }
   };
@@ -163,8 +644,135 @@ transactionSchema.statics.getUserSummary = async function(userId, startDate, end
   });
   
   result.net = result.income.total - result.expense.total;
+
+  // Per-category totals, counting each split against its own category
+  result.categories = await this.aggregate([
+    { $match: matchStage },
+    ...this.currencyStages(baseCurrency),
+    ...this.categoryLineStages(),
+    {
+      $group: {
+        _id: '$line.category',
+        type: { $first: '$type' },
+        total: { $sum: '$line.amount' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { total: -1 } },
+    {
+      $project: {
+        _id: 0,
+        category: '$_id',
+        type: 1,
+        total: 1,
+        count: 1
+      }
+    }
+  ]);
   
   return result;
 };
 
+// Static method to turn location input into the stored shape. Accepts
+// { name, coordinates: { lat, lng } }, { name, lat, lng } or
+// { name, point: { type: 'Point', coordinates: [lng, lat] } }.
+transactionSchema.statics.toLocation = function(input) {
+  if (input === undefined || input === null) return input;
+
+  const fail = () => {
+    const error = new Error('Location needs a name and/or valid latitude and longitude');
+    error.statusCode = 400;
+    return error;
+  };
+
+  if (typeof input !== 'object' || Array.isArray(input)) throw fail();
+
+  let lng;
+  let lat;
+  if (input.point && Array.isArray(input.point.coordinates)) {
+    [lng, lat] = input.point.coordinates;
+  } else if (input.coordinates && typeof input.coordinates === 'object') {
+    ({ lat, lng } = input.coordinates);
+  } else {
+    ({ lat, lng } = input);
+  }
+
+  const location = {};
+  if (input.name !== undefined && input.name !== null) {
+    if (typeof input.name !== 'string' || input.name.length > 100) throw fail();
+    location.name = input.name.trim();
+  }
+
+  if (lat !== undefined || lng !== undefined) {
+    lat = Number(lat);
+    lng = Number(lng);
+    if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) throw fail();
+    location.point = { type: 'Point', coordinates: [lng, lat] };
+  }
+
+  if (!location.name && !location.point) throw fail();
+  return location;
+};
+
+// Static method to convert locations stored before they were GeoJSON
+// ({ coordinates: { lat, lng } }) into GeoJSON points. Runs on the raw
+// collection, since it is a storage change rather than an edit.
+transactionSchema.statics.migrateLegacyLocations = async function() {
+  const result = await this.collection.updateMany(
+    {
+      'location.coordinates.lat': { $type: 'number' },
+      'location.coordinates.lng': { $type: 'number' }
+    },
+    [
+      {
+        $set: {
+          'location.point': {
+            type: 'Point',
+            coordinates: ['$location.coordinates.lng', '$location.coordinates.lat']
+          }
+        }
+      },
+      { $unset: 'location.coordinates' }
+    ]
+  );
+
+  // Partial coordinates were never usable
+  await this.collection.updateMany(
+    { 'location.coordinates': { $exists: true } },
+    { $unset: { 'location.coordinates': '' } }
+  );
+
+  return result.modifiedCount;
+};
+
+// Static method to get the total bytes of attachments stored for a user
+transactionSchema.statics.getAttachmentUsage = async function(userId) {
+  // Files of trashed transactions are kept until the trash is emptied
+  const usage = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $unwind: '$attachments' },
+    {
+      $group: {
+        _id: null,
+        size: { $sum: '$attachments.size' },
+        count: { $sum: 1 }
+      }
+    }
+  ]).option({ withDeleted: true });
+
+  return usage.length ? { size: usage[0].size, count: usage[0].count } : { size: 0, count: 0 };
+};
+
+// Registered last so its hooks see the final query filters
+transactionSchema.plugin(auditPlugin, {
+  entityType: 'Transaction',
+  fields: [
+    'title', 'description', 'amount', 'type', 'category', 'splits', 'account',
+    'toAccount', 'toAmount', 'payee', 'currency', 'date', 'tags', 'location', 'attachments',
+    'isRecurring', 'recurringPattern', 'status', 'notes', 'reconciledAt', 'deletedAt'
+  ],
+  ignore: ['recurringPattern.nextDueDate']
+});
+transactionSchema.plugin(tombstonePlugin, { entityType: 'Transaction' });
+
 module.exports = mongoose.model('Transaction', transactionSchema);
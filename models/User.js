@@ -41,6 +41,11 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: 'UTC'
   },
+  role: {
+    type: String,
+    default: 'user',
+    enum: ['user', 'admin']
+  },
   preferences: {
     theme: {
       type: String,
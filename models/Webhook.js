@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { checkWebhookUrl } = require('../utils/webhookTargets');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = [
+  'transaction.created',
+  'transaction.updated',
+  'transaction.deleted',
+  'transaction.restored',
+  'category.created',
+  'category.updated',
+  'category.deleted',
+  'category.restored',
+  'budget.exceeded'
+];
+
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    maxlength: [2000, 'Webhook URL cannot be more than 2000 characters']
+  },
+  // Key for the HMAC signature of each delivery; only shown when created
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENTS
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'Subscribe to at least one event'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+webhookSchema.index({ user: 1, isActive: 1, events: 1 });
+
+webhookSchema.statics.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+// Only plain http(s) URLs outside the server's own network can receive
+// deliveries; each delivery checks the address again when it connects
+webhookSchema.pre('save', async function(next) {
+  if (this.isNew || this.isModified('url')) {
+    try {
+      await checkWebhookUrl(this.url);
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Days delivery records are kept
+const DELIVERY_LOG_DAYS = Math.max(parseInt(process.env.WEBHOOK_LOG_DAYS) || 30, 1);
+
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    required: true
+  },
+  // Response status; empty when the receiver could not be reached
+  statusCode: Number,
+  error: String,
+  durationMs: Number
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Same for every delivery of one event, so receivers can ignore repeats
+  eventId: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: [attemptSchema],
+  // When the next attempt is due while pending
+  nextAttemptAt: Date,
+  // The delivery this one sends again
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Index for better query performance
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1, _id: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_LOG_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,498 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const Reconciliation = require('../models/Reconciliation');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+const ACCOUNT_TYPES = ['checking', 'savings', 'credit_card', 'cash', 'investment', 'loan', 'other'];
+
+const accountValidators = [
+  body('icon')
+    .optional()
+    .trim()
+    .isLength({ max: 10 })
+    .withMessage('Icon cannot be more than 10 characters'),
+  body('color')
+    .optional()
+    .matches(/^#[0-9A-F]{6}$/i)
+    .withMessage('Color must be a valid hex color'),
+  body('openingBalance')
+    .optional()
+    .isFloat()
+    .withMessage('Opening balance must be a number'),
+  body('openingDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Opening date must be a valid ISO 8601 date'),
+  body('currency')
+    .optional()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Currency must be a 3-letter ISO code')
+];
+
+// Round to cents so repeated sums don't drift
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Attach the current balance (opening balance plus completed transactions)
+// to each account
+const withBalances = async (userId, accounts) => {
+  const totals = await Transaction.getAccountTotals(userId);
+
+  return accounts.map(account => {
+    const { total, count } = totals.get(String(account._id)) || { total: 0, count: 0 };
+    return {
+      ...account.toObject(),
+      balance: roundMoney(account.openingBalance + total),
+      transactionCount: count
+    };
+  });
+};
+
+// @desc    Get all accounts with balances
+// @route   GET /api/accounts
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.includeArchived !== 'true') {
+      filter.isArchived = false;
+    }
+
+    const accounts = await withBalances(
+      req.user._id,
+      await Account.find(filter).sort({ isArchived: 1, name: 1 })
+    );
+
+    res.json({
+      success: true,
+      data: {
+        accounts
+      }
+    });
+  } catch (error) {
+    console.error('Get accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Move money between two accounts
+// @route   POST /api/accounts/transfers
+// @access  Private
+router.post('/transfers', [
+  protect,
+  body('fromAccount')
+    .isMongoId()
+    .withMessage('Valid source account ID is required'),
+  body('toAccount')
+    .isMongoId()
+    .withMessage('Valid destination account ID is required'),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0'),
+  body('toAmount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Transfer amount must be greater than 0'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid ISO 8601 date'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot be more than 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { fromAccount, toAccount, amount, toAmount, title, date, notes, tags } = req.body;
+
+    const accounts = await Account.find({
+      _id: { $in: [fromAccount, toAccount] },
+      user: req.user._id,
+      isArchived: false
+    });
+    const source = accounts.find(account => String(account._id) === fromAccount);
+    const destination = accounts.find(account => String(account._id) === toAccount);
+
+    if (!source || !destination) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account not found, archived or does not belong to user'
+      });
+    }
+
+    const transfer = await Transaction.create({
+      title: title || `Transfer to ${destination.name}`,
+      amount,
+      type: 'transfer',
+      account: source._id,
+      toAccount: destination._id,
+      // A converted amount only makes sense between different currencies
+      toAmount: toAmount && source.currency !== destination.currency ? toAmount : undefined,
+      currency: source.currency,
+      user: req.user._id,
+      date: date ? new Date(date) : new Date(),
+      notes,
+      tags: Array.isArray(tags) ? tags : []
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Transfer created successfully',
+      data: {
+        transaction: transfer
+      }
+    });
+  } catch (error) {
+    console.error('Create transfer error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get single account with balance
+// @route   GET /api/accounts/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const account = await Account.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    const [accountWithBalance] = await withBalances(req.user._id, [account]);
+
+    res.json({
+      success: true,
+      data: {
+        account: accountWithBalance
+      }
+    });
+  } catch (error) {
+    console.error('Get account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get an account's transactions with the running balance after each
+// @route   GET /api/accounts/:id/transactions
+// @access  Private
+router.get('/:id/transactions', protect, async (req, res) => {
+  try {
+    const account = await Account.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    const filter = {
+      user: req.user._id,
+      $or: [{ account: account._id }, { toAccount: account._id }]
+    };
+    const sort = { date: -1, _id: -1 };
+    const amountExpression = Transaction.accountAmountExpression(account._id);
+
+    // The running balance of the newest transaction on this page is the
+    // current balance minus everything completed after it
+    const [transactions, total, totals, newer] = await Promise.all([
+      Transaction.find(filter)
+        .populate('category', 'name icon color type')
+        .populate('account toAccount', 'name icon color currency')
+        .sort(sort)
+        .limit(limit)
+        .skip(skip),
+      Transaction.countDocuments(filter),
+      Transaction.aggregate([
+        { $match: { ...filter, status: 'completed' } },
+        { $group: { _id: null, total: { $sum: amountExpression } } }
+      ]),
+      skip > 0
+        ? Transaction.aggregate([
+          { $match: filter },
+          { $sort: sort },
+          { $limit: skip },
+          { $match: { status: 'completed' } },
+          { $group: { _id: null, total: { $sum: amountExpression } } }
+        ])
+        : []
+    ]);
+
+    const sumOf = (result) => (result[0] ? result[0].total : 0);
+    let balance = account.openingBalance + sumOf(totals) - sumOf(newer);
+
+    const rows = transactions.map(transaction => {
+      const row = { ...transaction.toObject(), runningBalance: roundMoney(balance) };
+      if (transaction.status === 'completed') {
+        const toId = transaction.toAccount && (transaction.toAccount._id || transaction.toAccount);
+        const incoming = transaction.type === 'transfer' && account._id.equals(toId);
+        const amount = incoming ? (transaction.toAmount || transaction.amount) : transaction.amount;
+        balance -= (incoming || transaction.type === 'income') ? amount : -amount;
+      }
+      return row;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        account: {
+          _id: account._id,
+          name: account.name,
+          currency: account.currency,
+          balance: roundMoney(account.openingBalance + sumOf(totals))
+        },
+        transactions: rows,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get account transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create new account
+// @route   POST /api/accounts
+// @access  Private
+router.post('/', [
+  protect,
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Account name must be between 1 and 50 characters'),
+  body('type')
+    .isIn(ACCOUNT_TYPES)
+    .withMessage(`Type must be one of ${ACCOUNT_TYPES.join(', ')}`),
+  ...accountValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, type, openingBalance, openingDate, currency, icon, color } = req.body;
+
+    const account = await Account.create({
+      name,
+      type,
+      openingBalance: openingBalance || 0,
+      openingDate: openingDate ? new Date(openingDate) : undefined,
+      currency: currency || req.user.currency || 'USD',
+      icon,
+      color,
+      user: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: {
+        account
+      }
+    });
+  } catch (error) {
+    console.error('Create account error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update account (including archiving it)
+// @route   PUT /api/accounts/:id
+// @access  Private
+router.put('/:id', [
+  protect,
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Account name must be between 1 and 50 characters'),
+  body('type')
+    .optional()
+    .isIn(ACCOUNT_TYPES)
+    .withMessage(`Type must be one of ${ACCOUNT_TYPES.join(', ')}`),
+  body('isArchived')
+    .optional()
+    .isBoolean()
+    .withMessage('isArchived must be a boolean'),
+  ...accountValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const account = await Account.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    const allowedUpdates = [
+      'name', 'type', 'openingBalance', 'openingDate', 'currency', 'icon', 'color', 'isArchived'
+    ];
+
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        account[field] = req.body[field];
+      }
+    });
+
+    // Saved through the document so the duplicate name check runs
+    await account.save();
+
+    const [accountWithBalance] = await withBalances(req.user._id, [account]);
+
+    res.json({
+      success: true,
+      message: 'Account updated successfully',
+      data: {
+        account: accountWithBalance
+      }
+    });
+  } catch (error) {
+    console.error('Update account error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete an account that has no transactions
+// @route   DELETE /api/accounts/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const account = await Account.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    // Trashed transactions can still be restored into this account
+    const used = await Transaction.exists({
+      user: req.user._id,
+      $or: [{ account: account._id }, { toAccount: account._id }]
+    }).setOptions({ withDeleted: true });
+
+    if (used) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account has transactions; archive it instead'
+      });
+    }
+
+    await Account.deleteOne({ _id: account._id });
+    await Reconciliation.deleteMany({ user: req.user._id, account: account._id });
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,15 +2,41 @@ const express = require('express');
 const Transaction = require('../models/Transaction');
 const Category = require('../models/Category');
 const { protect } = require('../middleware/auth');
+const { buildAggregateFilter } = require('../utils/transactionFilters');
 
 const router = express.Router();
 
+// Grid cell size for the spending map, in degrees
+const DEFAULT_CELL_SIZE = 0.01;
+const MIN_CELL_SIZE = 0.001;
+const MAX_CELL_SIZE = 10;
+
+// Most cells or places returned for one map
+const MAX_MAP_CLUSTERS = 1000;
+
+// Invalid filters are the caller's mistake
+const sendError = (res, error) => {
+  if (error.statusCode === 400) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
 // @desc    Get dashboard analytics
 // @route   GET /api/analytics/dashboard
 // @access  Private
 router.get('/dashboard', protect, async (req, res) => {
   try {
     const { period = 'month' } = req.query;
+    const baseCurrency = req.user.currency || 'USD';
+    const filter = buildAggregateFilter(req.user._id, req.query);
     
     let startDate, endDate;
     const now = new Date();
@@ -34,7 +60,7 @@ router.get('/dashboard', protect, async (req, res) => {
     }
 
     // Get summary
-    const summary = await Transaction.getUserSummary(req.user._id, startDate, endDate);
+    const summary = await Transaction.getUserSummary(req.user._id, startDate, endDate, baseCurrency, filter);
 
     // Get transactions by category
     const categoryBreakdown = await Transaction.aggregate([
@@ -42,13 +68,15 @@ router.get('/dashboard', protect, async (req, res) => {
         $match: {
           user: req.user._id,
           date: { $gte: startDate, $lte: endDate },
-          status: 'completed'
+          $and: [filter]
         }
       },
+      ...Transaction.currencyStages(baseCurrency),
+      ...Transaction.categoryLineStages(),
       {
         $group: {
-          _id: '$category',
-          total: { $sum: '$amount' },
+          _id: '$line.category',
+          total: { $sum: '$line.amount' },
           count: { $sum: 1 }
         }
       },
@@ -84,9 +112,11 @@ router.get('/dashboard', protect, async (req, res) => {
         $match: {
           user: req.user._id,
           date: { $gte: new Date(now.getFullYear(), 0, 1) },
-          status: 'completed'
+          type: { $in: ['income', 'expense'] },
+          $and: [filter]
         }
       },
+      ...Transaction.currencyStages(baseCurrency),
       {
         $group: {
           _id: {
@@ -94,7 +124,7 @@ router.get('/dashboard', protect, async (req, res) => {
             month: { $month: '$date' },
             type: '$type'
           },
-          total: { $sum: '$amount' }
+          total: { $sum: '$baseAmount' }
         }
       },
       {
@@ -112,6 +142,7 @@ router.get('/dashboard', protect, async (req, res) => {
         categoryBreakdown,
         monthlyTrends,
         topCategories,
+        currency: baseCurrency,
         period: {
           startDate,
           endDate,
@@ -121,10 +152,7 @@ router.get('/dashboard', protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Get dashboard analytics error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+    sendError(res, error);
   }
 });
 
@@ -133,7 +161,9 @@ router.get('/dashboard', protect, async (req, res) => {
 // @access  Private
 router.get('/trends', protect, async (req, res) => {
   try {
-    const { period = '6months', type = 'expense' } = req.query;
+    const { period = '6months' } = req.query;
+    const baseCurrency = req.user.currency || 'USD';
+    const filter = buildAggregateFilter(req.user._id, req.query, { type: 'expense' });
     
     let startDate, endDate;
     const now = new Date();
@@ -160,20 +190,20 @@ router.get('/trends', protect, async (req, res) => {
       {
         $match: {
           user: req.user._id,
-          type: type,
           date: { $gte: startDate, $lte: endDate },
-          status: 'completed'
+          $and: [filter]
         }
       },
+      ...Transaction.currencyStages(baseCurrency),
       {
         $group: {
           _id: {
             year: { $year: '$date' },
             month: { $month: '$date' }
           },
-          total: { $sum: '$amount' },
+          total: { $sum: '$baseAmount' },
           count: { $sum: 1 },
-          average: { $avg: '$amount' }
+          average: { $avg: '$baseAmount' }
         }
       },
       {
@@ -185,6 +215,7 @@ router.get('/trends', protect, async (req, res) => {
       success: true,
       data: {
         trends,
+        currency: baseCurrency,
         period: {
           startDate,
           endDate,
@@ -194,10 +225,7 @@ router.get('/trends', protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Get trends error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+    sendError(res, error);
   }
 });
 
@@ -206,7 +234,9 @@ router.get('/trends', protect, async (req, res) => {
 // @access  Private
 router.get('/categories', protect, async (req, res) => {
   try {
-    const { period = 'month', type } = req.query;
+    const { period = 'month' } = req.query;
+    const baseCurrency = req.user.currency || 'USD';
+    const filter = buildAggregateFilter(req.user._id, req.query);
     
     let startDate, endDate;
     const now = new Date();
@@ -232,23 +262,22 @@ router.get('/categories', protect, async (req, res) => {
     const matchStage = {
       user: req.user._id,
       date: { $gte: startDate, $lte: endDate },
-      status: 'completed'
+      type: { $in: ['income', 'expense'] },
+      $and: [filter]
     };
 
-    if (type && ['income', 'expense'].includes(type)) {
-      matchStage.type = type;
-    }
-
     const categoryAnalysis = await Transaction.aggregate([
       { $match: matchStage },
+      ...Transaction.currencyStages(baseCurrency),
+      ...Transaction.categoryLineStages(),
       {
         $group: {
-          _id: '$category',
-          total: { $sum: '$amount' },
+          _id: '$line.category',
+          total: { $sum: '$line.amount' },
           count: { $sum: 1 },
-          average: { $avg: '$amount' },
-          min: { $min: '$amount' },
-          max: { $max: '$amount' }
+          average: { $avg: '$line.amount' },
+          min: { $min: '$line.amount' },
+          max: { $max: '$line.amount' }
         }
       },
       {
@@ -293,6 +322,7 @@ router.get('/categories', protect, async (req, res) => {
       data: {
         categoryAnalysis,
         totalAmount,
+        currency: baseCurrency,
         period: {
           startDate,
           endDate,
@@ -302,10 +332,7 @@ router.get('/categories', protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Get category analysis error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+    sendError(res, error);
   }
 });
 
@@ -314,6 +341,8 @@ router.get('/categories', protect, async (req, res) => {
 // @access  Private
 router.get('/comparison', protect, async (req, res) => {
   try {
+    const baseCurrency = req.user.currency || 'USD';
+    const filter = buildAggregateFilter(req.user._id, req.query);
     const now = new Date();
     const currentMonth = new Date(now.getFullYear(), now.getMonth(), 1);
     const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
@@ -323,14 +352,18 @@ router.get('/comparison', protect, async (req, res) => {
     const currentMonthData = await Transaction.getUserSummary(
       req.user._id, 
       currentMonth, 
-      now
+      now,
+      baseCurrency,
+      filter
     );
 
     // Last month data
     const lastMonthData = await Transaction.getUserSummary(
       req.user._id, 
       lastMonth, 
-      lastMonthEnd
+      lastMonthEnd,
+      baseCurrency,
+      filter
     );
 
     // Calculate percentage changes
@@ -364,6 +397,7 @@ router.get('/comparison', protect, async (req, res) => {
       success: true,
       data: {
         comparison,
+        currency: baseCurrency,
         periods: {
           current: { start: currentMonth, end: now },
           previous: { start: lastMonth, end: lastMonthEnd }
@@ -372,10 +406,139 @@ router.get('/comparison', protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Get comparison error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
+    sendError(res, error);
+  }
+});
+
+// @desc    Get spending clustered by grid cell or place name, for a map
+// @route   GET /api/analytics/map
+// @access  Private
+router.get('/map', protect, async (req, res) => {
+  try {
+    const { period = 'month', groupBy = 'grid' } = req.query;
+    const baseCurrency = req.user.currency || 'USD';
+
+    if (!['grid', 'place'].includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'groupBy must be grid or place'
+      });
+    }
+
+    const cellSize = req.query.cellSize === undefined ? DEFAULT_CELL_SIZE : Number(req.query.cellSize);
+    if (isNaN(cellSize) || cellSize < MIN_CELL_SIZE || cellSize > MAX_CELL_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `cellSize must be between ${MIN_CELL_SIZE} and ${MAX_CELL_SIZE} degrees`
+      });
+    }
+
+    const filter = buildAggregateFilter(req.user._id, req.query, { type: 'expense' });
+
+    let startDate, endDate;
+    const now = new Date();
+
+    switch (period) {
+      case 'week':
+        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+        endDate = now;
+        break;
+      case 'month':
+        startDate = new Date(now.getFullYear(), now.getMonth(), 1);
+        endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+        break;
+      case 'year':
+        startDate = new Date(now.getFullYear(), 0, 1);
+        endDate = new Date(now.getFullYear(), 11, 31);
+        break;
+      default:
+        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+        endDate = now;
+    }
+
+    const lng = { $arrayElemAt: ['$location.point.coordinates', 0] };
+    const lat = { $arrayElemAt: ['$location.point.coordinates', 1] };
+
+    // Grid cells need coordinates; places need a name and use the average
+    // position of the transactions that have one
+    const matchStage = {
+      user: req.user._id,
+      date: { $gte: startDate, $lte: endDate },
+      $and: [filter]
+    };
+    if (groupBy === 'grid') {
+      matchStage['location.point.coordinates'] = { $exists: true };
+    } else {
+      matchStage['location.name'] = { $nin: [null, ''] };
+    }
+
+    const groupKey = groupBy === 'grid'
+      ? { x: { $floor: { $divide: [lng, cellSize] } }, y: { $floor: { $divide: [lat, cellSize] } } }
+      : { $toLower: { $trim: { input: '$location.name' } } };
+
+    const clusters = await Transaction.aggregate([
+      { $match: matchStage },
+      ...Transaction.currencyStages(baseCurrency),
+      {
+        $group: {
+          _id: groupKey,
+          name: { $first: '$location.name' },
+          total: { $sum: '$baseAmount' },
+          count: { $sum: 1 },
+          lng: { $avg: lng },
+          lat: { $avg: lat }
+        }
+      },
+      { $sort: { total: -1 } },
+      { $limit: MAX_MAP_CLUSTERS + 1 }
+    ]);
+
+    const truncated = clusters.length > MAX_MAP_CLUSTERS;
+
+    const points = clusters.slice(0, MAX_MAP_CLUSTERS).map(({ _id, name, total, count, lng, lat }) => {
+      const center = lng === null ? null : { lng, lat };
+
+      if (groupBy === 'grid') {
+        // Cell corners rounded to the cell size, without float noise
+        const round = (value) => Number(value.toFixed(6));
+        return {
+          cell: `${_id.x}:${_id.y}`,
+          bounds: {
+            minLng: round(_id.x * cellSize),
+            minLat: round(_id.y * cellSize),
+            maxLng: round((_id.x + 1) * cellSize),
+            maxLat: round((_id.y + 1) * cellSize)
+          },
+          center,
+          total,
+          count
+        };
+      }
+
+      return { place: name.trim(), center, total, count };
     });
+
+    const totalAmount = points.reduce((sum, point) => sum + point.total, 0);
+
+    res.json({
+      success: true,
+      data: {
+        groupBy,
+        cellSize: groupBy === 'grid' ? cellSize : undefined,
+        clusters: points,
+        truncated,
+        totalAmount,
+        currency: baseCurrency,
+        period: {
+          startDate,
+          endDate,
+          type: period
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get spending map error:', error);
+    sendError(res, error);
   }
 });
 
@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Category = require('../models/Category');
 const { protect } = require('../middleware/auth');
+const { recordChanges } = require('../utils/auditTrail');
+const { setETag, matchesIfMatch, sendPreconditionFailed } = require('../utils/etag');
 
 const router = express.Router();
 
@@ -52,6 +54,7 @@ router.get('/:id', protect, async (req, res) => {
       });
     }
 
+    setETag(res, category);
     res.json({
       success: true,
       data: {
@@ -92,7 +95,11 @@ router.post('/', [
     .optional()
     .trim()
     .isLength({ max: 200 })
-    .withMessage('Description cannot be more than 200 characters')
+    .withMessage('Description cannot be more than 200 characters'),
+  body('monthlyBudget')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Monthly budget must be a non-negative number')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -104,7 +111,14 @@ router.post('/', [
       });
     }
 
-    const { name, type, icon, color, description } = req.body;
+    const { name, type, icon, color, description, monthlyBudget } = req.body;
+
+    if (monthlyBudget != null && type !== 'expense') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only expense categories can have a monthly budget'
+      });
+    }
 
     const category = await Category.create({
       name,
@@ -112,9 +126,11 @@ router.post('/', [
       icon: icon || '💰',
       color: color || '#3B82F6',
       description,
+      monthlyBudget,
       user: req.user._id
     });
 
+    setETag(res, category);
     res.status(201).json({
       success: true,
       message: 'Category created successfully',
@@ -139,6 +155,20 @@ router.post('/', [
   }
 });
 
+// Answer an edit that lost a race with the category as it is now
+const sendCategoryConflict = async (res, id, userId) => {
+  const current = await Category.findOne({ _id: id, user: userId, isActive: true });
+
+  if (!current) {
+    return res.status(404).json({
+      success: false,
+      message: 'Category not found'
+    });
+  }
+
+  return sendPreconditionFailed(res, 'category', current);
+};
+
 // @desc    Update category
 // @route   PUT /api/categories/:id
 // @access  Private
@@ -162,7 +192,11 @@ router.put('/:id', [
     .optional()
     .trim()
     .isLength({ max: 200 })
-    .withMessage('Description cannot be more than 200 characters')
+    .withMessage('Description cannot be more than 200 characters'),
+  body('monthlyBudget')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Monthly budget must be a non-negative number')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -187,6 +221,10 @@ router.put('/:id', [
       });
     }
 
+    if (!matchesIfMatch(req, category)) {
+      return sendPreconditionFailed(res, 'category', category);
+    }
+
     // Don't allow updating default categories
     if (category.isDefault) {
       return res.status(400).json({
@@ -195,7 +233,7 @@ router.put('/:id', [
       });
     }
 
-    const allowedUpdates = ['name', 'icon', 'color', 'description'];
+    const allowedUpdates = ['name', 'icon', 'color', 'description', 'monthlyBudget'];
     const updates = {};
 
     allowedUpdates.forEach(field => {
@@ -204,12 +242,27 @@ router.put('/:id', [
       }
     });
 
-    const updatedCategory = await Category.findByIdAndUpdate(
-      req.params.id,
+    if (updates.monthlyBudget != null && category.type !== 'expense') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only expense categories can have a monthly budget'
+      });
+    }
+
+    // Only applied to the version checked above, so a concurrent edit is
+    // reported instead of overwritten
+    const updatedCategory = await Category.findOneAndUpdate(
+      { _id: category._id, user: req.user._id, isActive: true, updatedAt: category.updatedAt },
       updates,
       { new: true, runValidators: true }
     );
 
+    if (!updatedCategory) {
+      return sendCategoryConflict(res, category._id, req.user._id);
+    }
+
+    setETag(res, updatedCategory);
+
     res.json({
       success: true,
       message: 'Category updated successfully',
@@ -252,6 +305,10 @@ router.delete('/:id', protect, async (req, res) => {
       });
     }
 
+    if (!matchesIfMatch(req, category)) {
+      return sendPreconditionFailed(res, 'category', category);
+    }
+
     // Don't allow deleting default categories
     if (category.isDefault) {
       return res.status(400).json({
@@ -260,8 +317,15 @@ router.delete('/:id', protect, async (req, res) => {
       });
     }
 
-    // Soft delete by setting isActive to false
-    await Category.findByIdAndUpdate(req.params.id, { isActive: false });
+    // Soft delete by setting isActive to false, unless it changed meanwhile
+    const deleted = await Category.findOneAndUpdate(
+      { _id: category._id, user: req.user._id, isActive: true, updatedAt: category.updatedAt },
+      { isActive: false }
+    );
+
+    if (!deleted) {
+      return sendCategoryConflict(res, category._id, req.user._id);
+    }
 
     res.json({
       success: true,
@@ -314,6 +378,7 @@ router.post('/defaults', protect, async (req, res) => {
     const categories = await Category.insertMany(
       defaultCategories.map(cat => ({ ...cat, user: req.user._id }))
     );
+    await recordChanges('Category', categories.map(category => ({ before: null, after: category })));
 
     res.status(201).json({
       success: true,
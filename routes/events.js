@@ -0,0 +1,79 @@
+const express = require('express');
+const { protectStream } = require('../middleware/auth');
+const { subscribe, eventsSince } = require('../utils/realtimeService');
+
+const router = express.Router();
+
+// Comment line sent this often so proxies keep the connection open
+const HEARTBEAT_MS = 25 * 1000;
+// How long browsers wait before reconnecting a dropped stream
+const RECONNECT_MS = 3000;
+
+// @desc    Stream the user's transaction, category and summary events (Server-Sent Events)
+// @route   GET /api/events/stream
+// @access  Private
+router.get('/stream', protectStream, async (req, res) => {
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  const userId = req.user._id;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  let lastSentId = null;
+  const send = (event) => {
+    if (lastSentId && String(event._id) <= lastSentId) return;
+    lastSentId = String(event._id);
+    res.write(`id: ${event._id}\nevent: ${event.event}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  // Live events wait while missed ones are replayed, so none is lost or
+  // sent out of order
+  let queued = [];
+  const unsubscribe = subscribe(userId, events => {
+    if (queued) {
+      queued.push(...events);
+    } else {
+      events.forEach(send);
+    }
+  });
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  // The id the client is up to date with, once missed events are sent
+  let resumedFrom = lastEventId || null;
+
+  try {
+    if (lastEventId) {
+      const missed = await eventsSince(userId, String(lastEventId));
+
+      if (missed) {
+        missed.forEach(send);
+      } else {
+        // Too much was missed to replay; the client reloads its data
+        resumedFrom = null;
+        res.write(`event: reset\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available' })}\n\n`);
+      }
+    }
+
+    res.write(`event: ready\ndata: ${JSON.stringify({ lastEventId: lastSentId || resumedFrom })}\n\n`);
+  } catch (error) {
+    console.error('Event stream replay error:', error);
+    res.write(`event: reset\ndata: ${JSON.stringify({ reason: 'Missed events could not be loaded' })}\n\n`);
+  }
+
+  const live = queued;
+  queued = null;
+  live.forEach(send);
+});
+
+module.exports = router;
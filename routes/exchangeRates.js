@@ -0,0 +1,256 @@
+const express = require('express');
+const multer = require('multer');
+const { body, query, validationResult } = require('express-validator');
+const ExchangeRate = require('../models/ExchangeRate');
+const { protect, authorize } = require('../middleware/auth');
+const { idempotentUpload } = require('../middleware/idempotency');
+const { RATE_BASE, parseRateData, parseRateFile, importRates } = require('../utils/exchangeRates');
+
+const router = express.Router();
+
+const RATE_FILE_MAX_SIZE = 5 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: RATE_FILE_MAX_SIZE, files: 1 }
+});
+
+// Run multer and turn its errors into 400 responses
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    res.status(400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE'
+        ? `File must be smaller than ${RATE_FILE_MAX_SIZE / (1024 * 1024)}MB`
+        : error.message
+    });
+  });
+};
+
+// @desc    Get stored exchange rates
+// @route   GET /api/exchange-rates
+// @access  Private
+router.get('/', [
+  protect,
+  query('currency')
+    .optional()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Currency must be a 3-letter ISO code'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO 8601 date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { currency, startDate, endDate, page = 1, limit = 100 } = req.query;
+
+    const filter = {};
+    if (currency) filter.currency = currency.toUpperCase();
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = new Date(startDate);
+      if (endDate) filter.date.$lte = new Date(endDate);
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 100, 1000);
+    const [rates, total] = await Promise.all([
+      ExchangeRate.find(filter, 'currency date rate source')
+        .sort({ date: -1, currency: 1 })
+        .limit(pageSize)
+        .skip((page - 1) * pageSize),
+      ExchangeRate.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        base: RATE_BASE,
+        rates,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / pageSize),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Convert an amount between currencies on a date
+// @route   GET /api/exchange-rates/convert
+// @access  Private
+router.get('/convert', [
+  protect,
+  query('amount')
+    .isFloat()
+    .withMessage('Amount must be a number'),
+  query('from')
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('From must be a 3-letter ISO code'),
+  query('to')
+    .optional()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('To must be a 3-letter ISO code'),
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const amount = parseFloat(req.query.amount);
+    const from = req.query.from.toUpperCase();
+    const to = (req.query.to || req.user.currency || 'USD').toUpperCase();
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+
+    const converted = await ExchangeRate.convert(amount, from, to, date);
+
+    if (converted === null) {
+      return res.status(404).json({
+        success: false,
+        message: `No exchange rate available for ${from} to ${to}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        amount,
+        from,
+        to,
+        date,
+        converted: Math.round(converted * 100) / 100,
+        rate: amount !== 0 ? converted / amount : null
+      }
+    });
+  } catch (error) {
+    console.error('Convert currency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Add or replace exchange rates
+// @route   POST /api/exchange-rates
+// @access  Private (admin)
+router.post('/', [
+  protect,
+  authorize('admin'),
+  body('rates')
+    .custom(value => Array.isArray(value) || (value && typeof value === 'object'))
+    .withMessage('Rates must be an array or a map of dates to rates'),
+  body('base')
+    .optional()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Base must be a 3-letter ISO code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { base = RATE_BASE, rates } = req.body;
+    const entries = parseRateData(Array.isArray(rates) ? rates : { base, rates }, base.toUpperCase());
+
+    const result = await importRates(entries, 'admin');
+
+    res.status(201).json({
+      success: true,
+      message: `${result.saved} exchange rate(s) saved`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Save exchange rates error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Load exchange rates from a JSON or CSV file
+// @route   POST /api/exchange-rates/upload
+// @access  Private (admin)
+router.post('/upload', protect, authorize('admin'), uploadFile, idempotentUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No rate file uploaded'
+      });
+    }
+
+    const entries = parseRateFile(
+      req.file.buffer.toString('utf8'),
+      req.file.originalname,
+      (req.body.base || RATE_BASE).toUpperCase()
+    );
+    const result = await importRates(entries, `upload:${req.file.originalname}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${result.saved} exchange rate(s) saved`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Upload exchange rates error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
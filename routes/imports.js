@@ -0,0 +1,524 @@
+const express = require('express');
+const multer = require('multer');
+const Import = require('../models/Import');
+const { protect } = require('../middleware/auth');
+const { idempotentUpload } = require('../middleware/idempotency');
+const { parseCSV } = require('../utils/csvParser');
+const { parseOFX } = require('../utils/ofxParser');
+const { parseQIF } = require('../utils/qifParser');
+const {
+  suggestMapping,
+  detectDateFormat,
+  normalizeCSVRow,
+  prepareTransactions,
+  commitTransactions,
+  abandonCommit,
+  rollbackImport
+} = require('../utils/importService');
+
+const router = express.Router();
+
+const IMPORT_MAX_SIZE = 5 * 1024 * 1024;
+const MAX_IMPORT_ROWS = 5000;
+const PREVIEW_ROWS = 20;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_SIZE, files: 1 }
+});
+
+// Run multer and turn its errors into 400 responses
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    res.status(400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE'
+        ? `File must be smaller than ${IMPORT_MAX_SIZE / (1024 * 1024)}MB`
+        : error.message
+    });
+  });
+};
+
+// Multipart requests send mapping and options as JSON strings
+const parseJSONField = (value) => {
+  if (typeof value !== 'string') return value || {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Apply mapping and options from the request body to an import
+const applySettings = (importDoc, body) => {
+  const mapping = parseJSONField(body.mapping);
+  const options = parseJSONField(body.options);
+
+  if (mapping === null || options === null) {
+    return 'Mapping and options must be valid JSON';
+  }
+
+  // Column mappings only apply to CSV files
+  if (importDoc.source === 'csv') {
+    const unknown = Object.values(mapping).filter(header => header && !importDoc.headers.includes(header));
+    if (unknown.length > 0) {
+      return `Unknown column(s): ${unknown.join(', ')}`;
+    }
+
+    if (Object.keys(mapping).length > 0) {
+      importDoc.mapping = mapping;
+    }
+  }
+  Object.keys(options).forEach(key => {
+    importDoc.options[key] = options[key];
+  });
+
+  const error = importDoc.validateSync();
+  return error ? Object.values(error.errors).map(err => err.message).join(', ') : null;
+};
+
+// Normalize every row of a CSV import into entries
+const buildCSVEntries = (importDoc, mapping, options) => {
+  if (options.dateFormat === 'auto') {
+    const dateIndex = importDoc.headers.indexOf(mapping.date);
+    options.dateFormat = detectDateFormat(importDoc.rows.map(cells => cells[dateIndex]));
+  }
+
+  // Row numbers are 1-based and count the header line
+  return importDoc.rows.map((cells, index) => {
+    const row = index + 2;
+    try {
+      return { row, data: normalizeCSVRow(cells, importDoc.headers, mapping, options) };
+    } catch (error) {
+      return { row, error: error.message };
+    }
+  });
+};
+
+// Parse an OFX/QFX or QIF import into entries, recording its statements
+const buildStatementEntries = (importDoc, options) => {
+  const statements = importDoc.source === 'ofx'
+    ? parseOFX(importDoc.content)
+    : parseQIF(importDoc.content, { currency: options.currency, dateFormat: options.dateFormat });
+
+  importDoc.statements = statements.map(statement => ({
+    account: statement.account,
+    accountType: statement.accountType,
+    currency: statement.currency || options.currency,
+    transactions: statement.entries.length
+  }));
+
+  return statements.flatMap(statement => statement.entries.map(entry => {
+    if (entry.data && !entry.data.currency && options.currency) {
+      entry.data.currency = options.currency;
+    }
+    return entry;
+  }));
+};
+
+// Normalize, validate and de-duplicate every record of an import
+const prepareImport = async (importDoc) => {
+  const { mapping, options } = importDoc.toObject();
+
+  const entries = importDoc.source === 'csv'
+    ? buildCSVEntries(importDoc, mapping, options)
+    : buildStatementEntries(importDoc, options);
+
+  const prepared = await prepareTransactions(importDoc.user, entries, options);
+  return { prepared, dateFormat: options.dateFormat };
+};
+
+const buildPreview = (importDoc, prepared, dateFormat) => {
+  const duplicateRows = new Set(prepared.duplicates.map(item => item.row));
+  const failedRows = new Map(prepared.failed.map(item => [item.row, item.message]));
+  const readyRows = new Map(prepared.ready.map(item => [item.row, item.doc]));
+
+  const rowNumbers = importDoc.source === 'csv'
+    ? importDoc.rows.map((cells, index) => index + 2)
+    : [...failedRows.keys(), ...duplicateRows, ...readyRows.keys()].sort((a, b) => a - b);
+
+  const rows = rowNumbers.slice(0, PREVIEW_ROWS).map(row => {
+    const cells = importDoc.source === 'csv' ? importDoc.rows[row - 2] : undefined;
+    if (failedRows.has(row)) return { row, status: 'error', message: failedRows.get(row), cells };
+    if (duplicateRows.has(row)) return { row, status: 'duplicate', cells };
+    const doc = readyRows.get(row);
+    return {
+      row,
+      status: 'ok',
+      transaction: {
+        title: doc.title,
+        amount: doc.amount,
+        type: doc.type,
+        date: doc.date,
+        category: doc.category,
+        currency: doc.currency
+      }
+    };
+  });
+
+  return {
+    import: {
+      _id: importDoc._id,
+      filename: importDoc.filename,
+      status: importDoc.status,
+      headers: importDoc.headers,
+      mapping: importDoc.mapping,
+      options: importDoc.options,
+      statements: importDoc.statements
+    },
+    detectedDateFormat: dateFormat,
+    rows,
+    totals: {
+      total: rowNumbers.length,
+      ready: prepared.ready.length,
+      duplicates: prepared.duplicates.length,
+      failed: prepared.failed.length
+    },
+    errors: prepared.failed
+  };
+};
+
+const findImport = (req, withRows = false) => {
+  const query = Import.findOne({ _id: req.params.id, user: req.user._id });
+  return withRows ? query.select('+rows +content') : query;
+};
+
+// @desc    Get imports for user
+// @route   GET /api/imports
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const imports = await Import.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        imports
+      }
+    });
+  } catch (error) {
+    console.error('Get imports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get single import with its row report
+// @route   GET /api/imports/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const importDoc = await findImport(req);
+
+    if (!importDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        import: importDoc
+      }
+    });
+  } catch (error) {
+    console.error('Get import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Upload a CSV bank statement and preview it
+// @route   POST /api/imports/csv
+// @access  Private
+router.post('/csv', protect, uploadFile, idempotentUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No CSV file uploaded'
+      });
+    }
+
+    const [headers, ...rows] = parseCSV(req.file.buffer.toString('utf8'), {
+      delimiter: req.body.delimiter
+    });
+
+    if (!headers || rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV file must contain a header row and at least one data row'
+      });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `CSV file cannot have more than ${MAX_IMPORT_ROWS} rows`
+      });
+    }
+
+    const importDoc = new Import({
+      user: req.user._id,
+      source: 'csv',
+      filename: req.file.originalname,
+      headers,
+      rows,
+      mapping: suggestMapping(headers),
+      options: { currency: req.user.currency }
+    });
+
+    const settingsError = applySettings(importDoc, req.body);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
+    }
+
+    const { prepared, dateFormat } = await prepareImport(importDoc);
+    await importDoc.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'CSV uploaded successfully',
+      data: buildPreview(importDoc, prepared, dateFormat)
+    });
+  } catch (error) {
+    console.error('Upload CSV import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Upload handler shared by the OFX/QFX and QIF routes
+const uploadStatement = (source) => async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No statement file uploaded'
+      });
+    }
+
+    const importDoc = new Import({
+      user: req.user._id,
+      source,
+      filename: req.file.originalname,
+      content: req.file.buffer.toString('utf8'),
+      options: { currency: req.user.currency }
+    });
+
+    const settingsError = applySettings(importDoc, req.body);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
+    }
+
+    const { prepared, dateFormat } = await prepareImport(importDoc);
+    await importDoc.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Statement uploaded successfully',
+      data: buildPreview(importDoc, prepared, dateFormat)
+    });
+  } catch (error) {
+    console.error(`Upload ${source.toUpperCase()} import error:`, error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Upload an OFX or QFX statement and preview it
+// @route   POST /api/imports/ofx
+// @access  Private
+router.post('/ofx', protect, uploadFile, idempotentUpload, uploadStatement('ofx'));
+
+// @desc    Upload a QIF statement and preview it
+// @route   POST /api/imports/qif
+// @access  Private
+router.post('/qif', protect, uploadFile, idempotentUpload, uploadStatement('qif'));
+
+// @desc    Re-run the preview with a new mapping or options
+// @route   POST /api/imports/:id/preview
+// @access  Private
+router.post('/:id/preview', protect, async (req, res) => {
+  try {
+    const importDoc = await findImport(req, true);
+
+    if (!importDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    if (importDoc.status !== 'preview') {
+      return res.status(400).json({
+        success: false,
+        message: 'Import has already been committed'
+      });
+    }
+
+    const settingsError = applySettings(importDoc, req.body);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
+    }
+
+    const { prepared, dateFormat } = await prepareImport(importDoc);
+    await importDoc.save();
+
+    res.json({
+      success: true,
+      data: buildPreview(importDoc, prepared, dateFormat)
+    });
+  } catch (error) {
+    console.error('Preview import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Commit an import, creating its transactions in one batch
+// @route   POST /api/imports/:id/commit
+// @access  Private
+router.post('/:id/commit', protect, async (req, res) => {
+  try {
+    const importDoc = await findImport(req, true);
+
+    if (!importDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    if (importDoc.status !== 'preview') {
+      return res.status(400).json({
+        success: false,
+        message: 'Import has already been committed'
+      });
+    }
+
+    const settingsError = applySettings(importDoc, req.body);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
+    }
+
+    // Claim the import so a concurrent commit cannot create the
+    // transactions a second time
+    const claimed = await Import.findOneAndUpdate(
+      { _id: importDoc._id, user: req.user._id, status: 'preview' },
+      { status: 'committing' }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Import is already being committed'
+      });
+    }
+
+    try {
+      const { prepared } = await prepareImport(importDoc);
+      await commitTransactions(importDoc, prepared);
+    } catch (error) {
+      await abandonCommit(importDoc);
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: `${importDoc.summary.imported} transaction(s) imported`,
+      data: {
+        import: importDoc
+      }
+    });
+  } catch (error) {
+    console.error('Commit import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Roll back an import, deleting every transaction it created
+// @route   POST /api/imports/:id/rollback
+// @access  Private
+router.post('/:id/rollback', protect, async (req, res) => {
+  try {
+    const importDoc = await findImport(req);
+
+    if (!importDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    if (importDoc.status !== 'committed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only committed imports can be rolled back'
+      });
+    }
+
+    const deleted = await rollbackImport(importDoc);
+
+    res.json({
+      success: true,
+      message: `Import rolled back, ${deleted} transaction(s) deleted`,
+      data: {
+        import: importDoc
+      }
+    });
+  } catch (error) {
+    console.error('Rollback import error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,469 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Payee = require('../models/Payee');
+const Transaction = require('../models/Transaction');
+const { protect } = require('../middleware/auth');
+const { buildAggregateFilter } = require('../utils/transactionFilters');
+const { loadPayees, linkTransactions, mergePayees } = require('../utils/payeeService');
+
+const router = express.Router();
+
+// Date formats used to bucket spending over time
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+  year: '%Y'
+};
+
+const payeeValidators = [
+  body('aliases')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Aliases must be an array of at most 50 names'),
+  body('aliases.*')
+    .isString()
+    .withMessage('Each alias must be between 1 and 100 characters')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each alias must be between 1 and 100 characters'),
+  body('defaultCategory')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Valid category ID is required'),
+  body('logo')
+    .optional({ values: 'null' })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Logo must be an http(s) URL')
+];
+
+// Invalid filters and failed checks are the caller's mistake
+const sendError = (res, error) => {
+  if (error.statusCode === 400) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// Find a payee owned by the current user
+const findPayee = (req) => Payee.findOne({
+  _id: req.params.id,
+  user: req.user._id
+});
+
+// @desc    Get all payees
+// @route   GET /api/payees
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const payees = await Payee.find({ user: req.user._id }, '-keys')
+      .populate('defaultCategory', 'name icon color type')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        payees
+      }
+    });
+  } catch (error) {
+    console.error('Get payees error:', error);
+    sendError(res, error);
+  }
+});
+
+// @desc    Get the payees with the most spending
+// @route   GET /api/payees/top
+// @access  Private
+router.get('/top', protect, async (req, res) => {
+  try {
+    const baseCurrency = req.user.currency || 'USD';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+    const filter = buildAggregateFilter(req.user._id, req.query, { type: 'expense' });
+
+    const payees = await Transaction.aggregate([
+      { $match: { user: req.user._id, payee: { $ne: null }, $and: [filter] } },
+      ...Transaction.currencyStages(baseCurrency),
+      {
+        $group: {
+          _id: '$payee',
+          total: { $sum: '$baseAmount' },
+          count: { $sum: 1 },
+          lastDate: { $max: '$date' }
+        }
+      },
+      { $sort: { total: -1 } },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: 'payees',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'payee'
+        }
+      },
+      { $unwind: '$payee' },
+      {
+        $project: {
+          payeeId: '$_id',
+          payeeName: '$payee.name',
+          payeeLogo: '$payee.logo',
+          total: 1,
+          count: 1,
+          lastDate: 1
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        payees,
+        currency: baseCurrency
+      }
+    });
+  } catch (error) {
+    console.error('Get top payees error:', error);
+    sendError(res, error);
+  }
+});
+
+// @desc    Link transactions without a payee to payees by their titles
+// @route   POST /api/payees/link
+// @access  Private
+router.post('/link', protect, async (req, res) => {
+  try {
+    const linked = await linkTransactions(req.user._id, await loadPayees(req.user._id));
+
+    res.json({
+      success: true,
+      message: `${linked} transaction(s) linked to payees`,
+      data: {
+        linked
+      }
+    });
+  } catch (error) {
+    console.error('Link payees error:', error);
+    sendError(res, error);
+  }
+});
+
+// @desc    Get single payee with its totals
+// @route   GET /api/payees/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const payee = await findPayee(req).populate('defaultCategory', 'name icon color type');
+
+    if (!payee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payee not found'
+      });
+    }
+
+    const baseCurrency = req.user.currency || 'USD';
+    const totals = await Transaction.aggregate([
+      { $match: { user: req.user._id, payee: payee._id, status: 'completed' } },
+      ...Transaction.currencyStages(baseCurrency),
+      {
+        $group: {
+          _id: '$type',
+          total: { $sum: '$baseAmount' },
+          count: { $sum: 1 },
+          firstDate: { $min: '$date' },
+          lastDate: { $max: '$date' }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        payee,
+        totals,
+        currency: baseCurrency
+      }
+    });
+  } catch (error) {
+    console.error('Get payee error:', error);
+    sendError(res, error);
+  }
+});
+
+// @desc    Get a payee's spending over time
+// @route   GET /api/payees/:id/spending
+// @access  Private
+router.get('/:id/spending', protect, async (req, res) => {
+  try {
+    const { interval = 'month' } = req.query;
+
+    if (!INTERVAL_FORMATS[interval]) {
+      return res.status(400).json({
+        success: false,
+        message: `Interval must be one of ${Object.keys(INTERVAL_FORMATS).join(', ')}`
+      });
+    }
+
+    const payee = await findPayee(req);
+
+    if (!payee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payee not found'
+      });
+    }
+
+    const baseCurrency = req.user.currency || 'USD';
+    const filter = buildAggregateFilter(req.user._id, req.query);
+
+    const buckets = await Transaction.aggregate([
+      { $match: { user: req.user._id, payee: payee._id, $and: [filter] } },
+      ...Transaction.currencyStages(baseCurrency),
+      {
+        $group: {
+          _id: {
+            period: { $dateToString: { format: INTERVAL_FORMATS[interval], date: '$date' } },
+            type: '$type'
+          },
+          total: { $sum: '$baseAmount' },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.period': 1 } }
+    ]);
+
+    // One entry per period with income and expense side by side
+    const periods = new Map();
+    buckets.forEach(({ _id, total, count }) => {
+      if (!periods.has(_id.period)) {
+        periods.set(_id.period, { period: _id.period, income: 0, expense: 0, count: 0 });
+      }
+      const entry = periods.get(_id.period);
+      if (_id.type === 'income' || _id.type === 'expense') entry[_id.type] += total;
+      entry.count += count;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        payee: { _id: payee._id, name: payee.name, logo: payee.logo },
+        interval,
+        spending: [...periods.values()],
+        currency: baseCurrency
+      }
+    });
+  } catch (error) {
+    console.error('Get payee spending error:', error);
+    sendError(res, error);
+  }
+});
+
+// @desc    Create new payee
+// @route   POST /api/payees
+// @access  Private
+router.post('/', [
+  protect,
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Payee name must be between 1 and 100 characters'),
+  ...payeeValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, aliases, defaultCategory, logo } = req.body;
+
+    const payee = await Payee.create({
+      name,
+      aliases: aliases || [],
+      defaultCategory,
+      logo,
+      user: req.user._id
+    });
+
+    // Existing transactions named after the payee are linked right away
+    const linked = await linkTransactions(req.user._id, [payee]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payee created successfully',
+      data: {
+        payee,
+        linked
+      }
+    });
+  } catch (error) {
+    console.error('Create payee error:', error);
+    sendError(res, error);
+  }
+});
+
+// @desc    Update payee
+// @route   PUT /api/payees/:id
+// @access  Private
+router.put('/:id', [
+  protect,
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Payee name must be between 1 and 100 characters'),
+  ...payeeValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payee = await findPayee(req);
+
+    if (!payee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payee not found'
+      });
+    }
+
+    const allowedUpdates = ['name', 'aliases', 'defaultCategory', 'logo'];
+
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        payee[field] = req.body[field];
+      }
+    });
+
+    // Saved through the document so the name and alias checks run
+    await payee.save();
+    const linked = await linkTransactions(req.user._id, [payee]);
+
+    res.json({
+      success: true,
+      message: 'Payee updated successfully',
+      data: {
+        payee,
+        linked
+      }
+    });
+  } catch (error) {
+    console.error('Update payee error:', error);
+    sendError(res, error);
+  }
+});
+
+// @desc    Merge other payees into this one
+// @route   POST /api/payees/:id/merge
+// @access  Private
+router.post('/:id/merge', [
+  protect,
+  body('payeeIds')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Payee IDs must be an array of 1 to 50 payee IDs'),
+  body('payeeIds.*')
+    .isMongoId()
+    .withMessage('Each payee ID must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const target = await findPayee(req);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payee not found'
+      });
+    }
+
+    const sourceIds = [...new Set(req.body.payeeIds)];
+    if (sourceIds.includes(String(target._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'A payee cannot be merged into itself'
+      });
+    }
+
+    const sources = await Payee.find({ _id: { $in: sourceIds }, user: req.user._id });
+    if (sources.length !== sourceIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some payees were not found'
+      });
+    }
+
+    const moved = await mergePayees(req.user._id, target, sources);
+
+    res.json({
+      success: true,
+      message: `Merged ${sources.length} payee(s); ${moved} transaction(s) moved`,
+      data: {
+        payee: target,
+        moved
+      }
+    });
+  } catch (error) {
+    console.error('Merge payees error:', error);
+    sendError(res, error);
+  }
+});
+
+// @desc    Delete payee, unlinking its transactions
+// @route   DELETE /api/payees/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const payee = await Payee.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!payee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payee not found'
+      });
+    }
+
+    await Transaction.updateMany(
+      { user: req.user._id, payee: payee._id },
+      { $unset: { payee: 1 } }
+    ).setOptions({ withDeleted: true });
+
+    res.json({
+      success: true,
+      message: 'Payee deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete payee error:', error);
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
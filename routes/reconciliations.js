@@ -0,0 +1,380 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Reconciliation = require('../models/Reconciliation');
+const { protect } = require('../middleware/auth');
+const {
+  getSummary,
+  listStatementTransactions,
+  setCleared,
+  updateStatement,
+  finishReconciliation,
+  reopenReconciliation,
+  discardReconciliation
+} = require('../utils/reconciliationService');
+
+const router = express.Router();
+
+const idsValidators = [
+  body('ids')
+    .isArray({ min: 1, max: 1000 })
+    .withMessage('IDs must be an array of 1 to 1000 transaction IDs'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Each ID must be a valid transaction ID')
+];
+
+// Failed checks are the caller's mistake
+const sendError = (res, error) => {
+  if (error.statusCode === 400 || error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// Find a reconciliation owned by the current user
+const findReconciliation = (req) => Reconciliation.findOne({
+  _id: req.params.id,
+  user: req.user._id
+});
+
+// @desc    Get reconciliations, latest statement first
+// @route   GET /api/reconciliations
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.account) {
+      filter.account = req.query.account;
+    }
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const reconciliations = await Reconciliation.find(filter)
+      .populate('account', 'name icon color currency')
+      .sort({ statementDate: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        reconciliations
+      }
+    });
+  } catch (error) {
+    console.error('Get reconciliations error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid account ID'
+      });
+    }
+
+    sendError(res, error);
+  }
+});
+
+// @desc    Get a reconciliation with its statement transactions and difference
+// @route   GET /api/reconciliations/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const reconciliation = await findReconciliation(req);
+
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation not found'
+      });
+    }
+
+    const [summary, transactions] = await Promise.all([
+      getSummary(reconciliation),
+      listStatementTransactions(reconciliation)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        reconciliation,
+        summary,
+        transactions
+      }
+    });
+  } catch (error) {
+    console.error('Get reconciliation error:', error);
+    sendError(res, error);
+  }
+});
+
+// @desc    Start reconciling an account against a statement
+// @route   POST /api/reconciliations
+// @access  Private
+router.post('/', [
+  protect,
+  body('account')
+    .isMongoId()
+    .withMessage('Valid account ID is required'),
+  body('statementDate')
+    .isISO8601()
+    .withMessage('Statement date must be a valid ISO 8601 date'),
+  body('closingBalance')
+    .isFloat()
+    .withMessage('Closing balance must be a number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { account, statementDate, closingBalance } = req.body;
+
+    const reconciliation = await Reconciliation.create({
+      account,
+      statementDate: new Date(statementDate),
+      closingBalance: parseFloat(closingBalance),
+      user: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reconciliation started',
+      data: {
+        reconciliation,
+        summary: await getSummary(reconciliation)
+      }
+    });
+  } catch (error) {
+    console.error('Create reconciliation error:', error);
+    sendError(res, error);
+  }
+});
+
+// @desc    Update the statement date or closing balance
+// @route   PUT /api/reconciliations/:id
+// @access  Private
+router.put('/:id', [
+  protect,
+  body('statementDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Statement date must be a valid ISO 8601 date'),
+  body('closingBalance')
+    .optional()
+    .isFloat()
+    .withMessage('Closing balance must be a number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reconciliation = await findReconciliation(req);
+
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation not found'
+      });
+    }
+
+    const { statementDate, closingBalance } = req.body;
+    await updateStatement(reconciliation, {
+      statementDate: statementDate !== undefined ? new Date(statementDate) : undefined,
+      closingBalance: closingBalance !== undefined ? parseFloat(closingBalance) : undefined
+    });
+
+    res.json({
+      success: true,
+      message: 'Reconciliation updated successfully',
+      data: {
+        reconciliation,
+        summary: await getSummary(reconciliation)
+      }
+    });
+  } catch (error) {
+    console.error('Update reconciliation error:', error);
+    sendError(res, error);
+  }
+});
+
+// @desc    Tick transactions off against the statement
+// @route   POST /api/reconciliations/:id/clear
+// @access  Private
+router.post('/:id/clear', [protect, ...idsValidators], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reconciliation = await findReconciliation(req);
+
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation not found'
+      });
+    }
+
+    const modified = await setCleared(reconciliation, req.body.ids, true);
+
+    res.json({
+      success: true,
+      message: `${modified} transaction(s) ticked off`,
+      data: {
+        summary: await getSummary(reconciliation)
+      }
+    });
+  } catch (error) {
+    console.error('Clear reconciliation transactions error:', error);
+    sendError(res, error);
+  }
+});
+
+// @desc    Untick transactions
+// @route   POST /api/reconciliations/:id/unclear
+// @access  Private
+router.post('/:id/unclear', [protect, ...idsValidators], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reconciliation = await findReconciliation(req);
+
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation not found'
+      });
+    }
+
+    const modified = await setCleared(reconciliation, req.body.ids, false);
+
+    res.json({
+      success: true,
+      message: `${modified} transaction(s) unticked`,
+      data: {
+        summary: await getSummary(reconciliation)
+      }
+    });
+  } catch (error) {
+    console.error('Unclear reconciliation transactions error:', error);
+    sendError(res, error);
+  }
+});
+
+// @desc    Finish a balanced reconciliation, locking its transactions
+// @route   POST /api/reconciliations/:id/finish
+// @access  Private
+router.post('/:id/finish', protect, async (req, res) => {
+  try {
+    const reconciliation = await findReconciliation(req);
+
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation not found'
+      });
+    }
+
+    const summary = await finishReconciliation(reconciliation);
+
+    res.json({
+      success: true,
+      message: `Reconciliation finished; ${summary.reconciledCount} transaction(s) reconciled`,
+      data: {
+        reconciliation,
+        summary
+      }
+    });
+  } catch (error) {
+    console.error('Finish reconciliation error:', error);
+    sendError(res, error);
+  }
+});
+
+// @desc    Reopen the latest finished reconciliation, unlocking its transactions
+// @route   POST /api/reconciliations/:id/reopen
+// @access  Private
+router.post('/:id/reopen', protect, async (req, res) => {
+  try {
+    const reconciliation = await findReconciliation(req);
+
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation not found'
+      });
+    }
+
+    await reopenReconciliation(reconciliation);
+
+    res.json({
+      success: true,
+      message: 'Reconciliation reopened',
+      data: {
+        reconciliation,
+        summary: await getSummary(reconciliation)
+      }
+    });
+  } catch (error) {
+    console.error('Reopen reconciliation error:', error);
+    sendError(res, error);
+  }
+});
+
+// @desc    Discard a reconciliation in progress
+// @route   DELETE /api/reconciliations/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const reconciliation = await findReconciliation(req);
+
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation not found'
+      });
+    }
+
+    await discardReconciliation(reconciliation);
+
+    res.json({
+      success: true,
+      message: 'Reconciliation discarded'
+    });
+  } catch (error) {
+    console.error('Delete reconciliation error:', error);
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,371 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Transaction = require('../models/Transaction');
+const { protect } = require('../middleware/auth');
+const {
+  getNextOccurrence,
+  getUpcomingOccurrences,
+  processDueRecurring
+} = require('../utils/recurringService');
+
+const router = express.Router();
+
+// Find an upcoming occurrence of a template by calendar day
+const findUpcoming = (template, date, count = 366) => {
+  const day = new Date(date).toISOString().slice(0, 10);
+  return getUpcomingOccurrences(template, count)
+    .find(occurrence => occurrence.date.toISOString().slice(0, 10) === day);
+};
+
+const findTemplate = (req) => Transaction.findOne({
+  _id: req.params.id,
+  user: req.user._id,
+  isRecurring: true
+});
+
+// @desc    Get recurring transaction templates
+// @route   GET /api/recurring
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { count = 3 } = req.query;
+
+    const templates = await Transaction.find({
+      user: req.user._id,
+      isRecurring: true
+    })
+      .populate('category', 'name icon color type')
+      .sort({ 'recurringPattern.nextDueDate': 1 });
+
+    res.json({
+      success: true,
+      data: {
+        recurring: templates.map(template => ({
+          transaction: template,
+          upcoming: getUpcomingOccurrences(template, parseInt(count))
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get recurring transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Generate due occurrences for the current user now
+// @route   POST /api/recurring/run
+// @access  Private
+router.post('/run', protect, async (req, res) => {
+  try {
+    const result = await processDueRecurring(new Date(), req.user._id);
+
+    res.json({
+      success: true,
+      message: `${result.created} recurring transaction(s) created`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Run recurring transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get upcoming occurrences of a recurring transaction
+// @route   GET /api/recurring/:id/upcoming
+// @access  Private
+router.get('/:id/upcoming', protect, async (req, res) => {
+  try {
+    const { count = 10 } = req.query;
+
+    const template = await findTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring transaction not found'
+      });
+    }
+
+    const occurrences = await Transaction.find({ recurringSource: template._id })
+      .sort({ occurrenceDate: -1 })
+      .limit(parseInt(count));
+
+    res.json({
+      success: true,
+      data: {
+        upcoming: getUpcomingOccurrences(template, parseInt(count)),
+        generated: occurrences
+      }
+    });
+  } catch (error) {
+    console.error('Get upcoming occurrences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Pause a recurring transaction
+// @route   POST /api/recurring/:id/pause
+// @access  Private
+router.post('/:id/pause', protect, async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring transaction not found'
+      });
+    }
+
+    template.recurringPattern.isPaused = true;
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Recurring transaction paused',
+      data: {
+        transaction: template
+      }
+    });
+  } catch (error) {
+    console.error('Pause recurring transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Resume a paused recurring transaction
+// @route   POST /api/recurring/:id/resume
+// @access  Private
+router.post('/:id/resume', [
+  protect,
+  body('catchUp')
+    .optional()
+    .isBoolean()
+    .withMessage('catchUp must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await findTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring transaction not found'
+      });
+    }
+
+    const pattern = template.recurringPattern;
+    pattern.isPaused = false;
+
+    // Unless asked to catch up, skip the occurrences that fell due while paused
+    if (!req.body.catchUp) {
+      const now = new Date();
+      while (pattern.nextDueDate && pattern.nextDueDate <= now) {
+        pattern.nextDueDate = getNextOccurrence(
+          pattern.nextDueDate, pattern.frequency, pattern.interval, template.date
+        );
+      }
+    }
+
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Recurring transaction resumed',
+      data: {
+        transaction: template
+      }
+    });
+  } catch (error) {
+    console.error('Resume recurring transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Skip an upcoming occurrence
+// @route   POST /api/recurring/:id/skip
+// @access  Private
+router.post('/:id/skip', [
+  protect,
+  body('date')
+    .isISO8601()
+    .withMessage('Date must be a valid ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await findTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring transaction not found'
+      });
+    }
+
+    const occurrence = findUpcoming(template, req.body.date);
+
+    if (!occurrence) {
+      return res.status(400).json({
+        success: false,
+        message: 'No upcoming occurrence on this date'
+      });
+    }
+
+    if (!occurrence.skipped) {
+      template.recurringPattern.skippedDates.push(occurrence.date);
+      await template.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Occurrence skipped',
+      data: {
+        upcoming: getUpcomingOccurrences(template, 10)
+      }
+    });
+  } catch (error) {
+    console.error('Skip occurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Edit a single upcoming occurrence
+// @route   PUT /api/recurring/:id/occurrences/:date
+// @access  Private
+router.put('/:id/occurrences/:date', [
+  protect,
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters'),
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot be more than 1000 characters'),
+  body('skipped')
+    .optional()
+    .isBoolean()
+    .withMessage('skipped must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await findTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring transaction not found'
+      });
+    }
+
+    if (isNaN(new Date(req.params.date))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date must be a valid ISO 8601 date'
+      });
+    }
+
+    const occurrence = findUpcoming(template, req.params.date);
+
+    if (!occurrence) {
+      return res.status(400).json({
+        success: false,
+        message: 'No upcoming occurrence on this date'
+      });
+    }
+
+    const pattern = template.recurringPattern;
+    let override = pattern.overrides.find(item => item.date.getTime() === occurrence.date.getTime());
+
+    if (!override) {
+      pattern.overrides.push({ date: occurrence.date });
+      override = pattern.overrides[pattern.overrides.length - 1];
+    }
+
+    ['title', 'amount', 'description', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        override[field] = req.body[field];
+      }
+    });
+
+    // Un-skip an occurrence that is being edited back in
+    if (req.body.skipped !== undefined) {
+      pattern.skippedDates = pattern.skippedDates
+        .filter(date => date.getTime() !== occurrence.date.getTime());
+      if (req.body.skipped) {
+        pattern.skippedDates.push(occurrence.date);
+      }
+    }
+
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Occurrence updated successfully',
+      data: {
+        upcoming: getUpcomingOccurrences(template, 10)
+      }
+    });
+  } catch (error) {
+    console.error('Update occurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,366 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Rule = require('../models/Rule');
+const { protect } = require('../middleware/auth');
+const { buildTransactionFilter } = require('../utils/transactionFilters');
+const { MAX_REAPPLY_TRANSACTIONS, planReapply, runReapply } = require('../utils/rulesEngine');
+
+const router = express.Router();
+
+// Changes listed in a re-apply preview
+const PREVIEW_LIMIT = 100;
+
+const ruleValidators = [
+  body('priority')
+    .optional()
+    .isInt()
+    .withMessage('Priority must be a whole number'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+  body('stopProcessing')
+    .optional()
+    .isBoolean()
+    .withMessage('stopProcessing must be a boolean'),
+  body('conditions')
+    .optional()
+    .isObject()
+    .withMessage('Conditions must be an object'),
+  body(['conditions.title', 'conditions.description'])
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Title and description conditions must be { operator, value } objects'),
+  body(['conditions.title.operator', 'conditions.description.operator'])
+    .optional()
+    .isIn(Rule.PATTERN_OPERATORS)
+    .withMessage(`Operator must be one of ${Rule.PATTERN_OPERATORS.join(', ')}`),
+  body(['conditions.title.value', 'conditions.description.value'])
+    .optional()
+    .isString()
+    .withMessage('Pattern must be between 1 and 100 characters')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Pattern must be between 1 and 100 characters'),
+  body('conditions.type')
+    .optional({ values: 'null' })
+    .isIn(['income', 'expense'])
+    .withMessage('Type must be either income or expense'),
+  body(['conditions.minAmount', 'conditions.maxAmount'])
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Amounts must be non-negative numbers'),
+  body('actions')
+    .optional()
+    .isObject()
+    .withMessage('Actions must be an object'),
+  body('actions.category')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Valid category ID is required'),
+  body('actions.addTags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of at most 20 tags'),
+  body('actions.addTags.*')
+    .isString()
+    .withMessage('Each tag must be between 1 and 30 characters')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Each tag must be between 1 and 30 characters'),
+  body('actions.setTitle')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Title must be between 1 and 100 characters')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters')
+];
+
+// @desc    Get all rules in priority order
+// @route   GET /api/rules
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const rules = await Rule.find({ user: req.user._id })
+      .populate('actions.category', 'name icon color type')
+      .sort({ priority: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        rules
+      }
+    });
+  } catch (error) {
+    console.error('Get rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Re-apply rules to existing transactions, or preview the changes
+// @route   POST /api/rules/apply
+// @access  Private
+router.post('/apply', [
+  protect,
+  body('ruleIds')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Rule IDs must be a non-empty array'),
+  body('ruleIds.*')
+    .isMongoId()
+    .withMessage('Each rule ID must be valid'),
+  body('filter')
+    .optional()
+    .isObject()
+    .withMessage('Filter must be an object'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { ruleIds, filter: filterQuery, dryRun } = req.body;
+    const filter = buildTransactionFilter(req.user._id, filterQuery || {});
+    const plan = await planReapply(req.user._id, filter, ruleIds);
+
+    const preview = dryRun === true || dryRun === 'true';
+    const modified = preview ? plan.changes.length : await runReapply(req.user._id, plan);
+
+    res.json({
+      success: true,
+      message: preview
+        ? `${modified} transaction(s) would be changed`
+        : `${modified} transaction(s) updated`,
+      data: {
+        dryRun: preview,
+        rules: plan.rules.length,
+        scanned: plan.scanned,
+        truncated: plan.scanned === MAX_REAPPLY_TRANSACTIONS,
+        modified,
+        changes: plan.changes.slice(0, PREVIEW_LIMIT).map(({ transaction, title, rules, changes }) => ({
+          transaction,
+          title,
+          rules,
+          changes
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Apply rules error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get single rule
+// @route   GET /api/rules/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const rule = await Rule.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    }).populate('actions.category', 'name icon color type');
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        rule
+      }
+    });
+  } catch (error) {
+    console.error('Get rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create new rule
+// @route   POST /api/rules
+// @access  Private
+router.post('/', [
+  protect,
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Rule name must be between 1 and 50 characters'),
+  ...ruleValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, priority, isActive, stopProcessing, conditions, actions } = req.body;
+
+    const rule = await Rule.create({
+      name,
+      priority,
+      isActive,
+      stopProcessing,
+      conditions: conditions || {},
+      actions: actions || {},
+      user: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rule created successfully',
+      data: {
+        rule
+      }
+    });
+  } catch (error) {
+    console.error('Create rule error:', error);
+
+    if (error.statusCode === 400 || error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update rule
+// @route   PUT /api/rules/:id
+// @access  Private
+router.put('/:id', [
+  protect,
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Rule name must be between 1 and 50 characters'),
+  ...ruleValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await Rule.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    // Conditions and actions are replaced as a whole
+    const allowedUpdates = ['name', 'priority', 'isActive', 'stopProcessing', 'conditions', 'actions'];
+
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        rule[field] = req.body[field];
+      }
+    });
+
+    // Saved through the document so the condition and category checks run
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Rule updated successfully',
+      data: {
+        rule
+      }
+    });
+  } catch (error) {
+    console.error('Update rule error:', error);
+
+    if (error.statusCode === 400 || error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete rule
+// @route   DELETE /api/rules/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const rule = await Rule.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
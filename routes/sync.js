@@ -0,0 +1,132 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const {
+  WRITABLE_ENTITIES,
+  MAX_SYNC_CHANGES,
+  CONFLICT_STRATEGIES,
+  decodeSyncToken,
+  pullChanges,
+  applyChanges
+} = require('../utils/syncService');
+
+const router = express.Router();
+
+// Bad and expired sync tokens are the caller's to fix
+const sendError = (res, error) => {
+  if (error.statusCode === 400 || error.statusCode === 410) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// @desc    Get everything changed since a sync token
+// @route   GET /api/sync
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { syncToken } = req.query;
+
+    if (syncToken !== undefined && typeof syncToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid sync token'
+      });
+    }
+
+    const data = await pullChanges(req.user._id, syncToken);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Sync pull error:', error);
+    sendError(res, error);
+  }
+});
+
+// @desc    Apply changes made offline, then get everything changed since a sync token
+// @route   POST /api/sync
+// @access  Private
+router.post('/', [
+  protect,
+  body('syncToken')
+    .optional()
+    .isString()
+    .withMessage('Invalid sync token'),
+  body('conflictStrategy')
+    .optional()
+    .isIn(CONFLICT_STRATEGIES)
+    .withMessage(`conflictStrategy must be one of ${CONFLICT_STRATEGIES.join(', ')}`),
+  body('changes')
+    .isArray({ max: MAX_SYNC_CHANGES })
+    .withMessage(`Changes must be an array of up to ${MAX_SYNC_CHANGES} changes`),
+  body('changes.*.entity')
+    .isIn(Object.keys(WRITABLE_ENTITIES))
+    .withMessage(`Entity must be one of ${Object.keys(WRITABLE_ENTITIES).join(', ')}`),
+  body('changes.*.action')
+    .isIn(['create', 'update', 'delete'])
+    .withMessage('Action must be create, update or delete'),
+  body('changes.*.clientId')
+    .optional()
+    .isString()
+    .withMessage('clientId must be between 1 and 100 characters')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('clientId must be between 1 and 100 characters'),
+  body('changes.*.id')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid record ID is required'),
+  body('changes.*.baseUpdatedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('baseUpdatedAt must be a valid ISO 8601 date'),
+  body('changes.*.data')
+    .optional()
+    .isObject()
+    .withMessage('Data must be an object'),
+  body('changes.*')
+    .custom(change => change.action === 'create' || change.id || change.clientId)
+    .withMessage('Updates and deletes need the record ID or its clientId')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { syncToken, conflictStrategy = 'merge', changes } = req.body;
+
+    // Refuse a bad token before anything is changed
+    if (syncToken) decodeSyncToken(syncToken);
+
+    const results = await applyChanges(req.user, changes, conflictStrategy);
+    const data = await pullChanges(req.user._id, syncToken);
+
+    res.json({
+      success: true,
+      message: `${results.filter(result => ['applied', 'merged'].includes(result.status)).length} of ${results.length} change(s) applied`,
+      data: {
+        results,
+        ...data
+      }
+    });
+  } catch (error) {
+    console.error('Sync push error:', error);
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
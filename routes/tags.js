@@ -0,0 +1,207 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { buildAggregateFilter } = require('../utils/transactionFilters');
+const { getTagStats, suggestTags, mergeTags, deleteTag } = require('../utils/tagService');
+
+const router = express.Router();
+
+// Orders for the tag list; each sorts descending except the name
+const TAG_SORTS = {
+  count: (a, b) => b.count - a.count || a.tag.localeCompare(b.tag),
+  name: (a, b) => a.tag.localeCompare(b.tag),
+  expense: (a, b) => b.expense - a.expense || a.tag.localeCompare(b.tag),
+  income: (a, b) => b.income - a.income || a.tag.localeCompare(b.tag),
+  lastUsed: (a, b) => b.lastUsed - a.lastUsed || a.tag.localeCompare(b.tag)
+};
+
+const tagValidator = (field) => body(field)
+  .isString()
+  .withMessage('Tags must be between 1 and 30 characters')
+  .trim()
+  .isLength({ min: 1, max: 30 })
+  .withMessage('Tags must be between 1 and 30 characters');
+
+// Invalid filters are the caller's mistake
+const sendError = (res, error) => {
+  if (error.statusCode === 400) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// @desc    Get all tags with usage counts and totals
+// @route   GET /api/tags
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { sortBy = 'count' } = req.query;
+
+    if (!TAG_SORTS[sortBy]) {
+      return res.status(400).json({
+        success: false,
+        message: `sortBy must be one of ${Object.keys(TAG_SORTS).join(', ')}`
+      });
+    }
+
+    const baseCurrency = req.user.currency || 'USD';
+    const filter = buildAggregateFilter(req.user._id, req.query);
+    const tags = await getTagStats(req.user._id, filter, baseCurrency);
+
+    res.json({
+      success: true,
+      data: {
+        tags: tags.sort(TAG_SORTS[sortBy]),
+        currency: baseCurrency
+      }
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    sendError(res, error);
+  }
+});
+
+// @desc    Suggest tags starting with a prefix
+// @route   GET /api/tags/autocomplete
+// @access  Private
+router.get('/autocomplete', protect, async (req, res) => {
+  try {
+    const { q = '' } = req.query;
+
+    if (typeof q !== 'string' || q.length > 30) {
+      return res.status(400).json({
+        success: false,
+        message: 'q must be text up to 30 characters'
+      });
+    }
+
+    const limit = Math.max(parseInt(req.query.limit) || 10, 1);
+    const suggestions = await suggestTags(req.user._id, q.trim(), limit);
+
+    res.json({
+      success: true,
+      data: {
+        suggestions
+      }
+    });
+  } catch (error) {
+    console.error('Autocomplete tags error:', error);
+    sendError(res, error);
+  }
+});
+
+// @desc    Merge several tags into one
+// @route   POST /api/tags/merge
+// @access  Private
+router.post('/merge', [
+  protect,
+  body('tags')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Tags must be an array of 1 to 50 tags'),
+  tagValidator('tags.*'),
+  tagValidator('into')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { tags, into } = req.body;
+    const modified = await mergeTags(req.user._id, [...new Set(tags)], into);
+
+    res.json({
+      success: true,
+      message: `Merged into "${into}"; ${modified} transaction(s) updated`,
+      data: {
+        tag: into,
+        modified
+      }
+    });
+  } catch (error) {
+    console.error('Merge tags error:', error);
+    sendError(res, error);
+  }
+});
+
+// @desc    Rename a tag everywhere
+// @route   PUT /api/tags/:tag
+// @access  Private
+router.put('/:tag', [
+  protect,
+  tagValidator('name')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { tag } = req.params;
+    const { name } = req.body;
+    const modified = await mergeTags(req.user._id, [tag], name);
+
+    if (modified === 0 && tag !== name) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Tag renamed; ${modified} transaction(s) updated`,
+      data: {
+        tag: name,
+        modified
+      }
+    });
+  } catch (error) {
+    console.error('Rename tag error:', error);
+    sendError(res, error);
+  }
+});
+
+// @desc    Remove a tag from every transaction
+// @route   DELETE /api/tags/:tag
+// @access  Private
+router.delete('/:tag', protect, async (req, res) => {
+  try {
+    const modified = await deleteTag(req.user._id, req.params.tag);
+
+    if (modified === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Tag deleted from ${modified} transaction(s)`,
+      data: {
+        modified
+      }
+    });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
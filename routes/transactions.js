@@ -1,82 +1,221 @@
 const express = require('express');
+const multer = require('multer');
 const { body, validationResult } = require('express-validator');
 const Transaction = require('../models/Transaction');
 const Category = require('../models/Category');
+const Payee = require('../models/Payee');
+const AuditLog = require('../models/AuditLog');
 const { protect } = require('../middleware/auth');
+const { idempotentUpload } = require('../middleware/idempotency');
+const { getNextOccurrence } = require('../utils/recurringService');
+const { getStorage, removeAttachments } = require('../utils/storage');
+const { buildTransactionFilter } = require('../utils/transactionFilters');
+const { listTransactions } = require('../utils/transactionListing');
+const { EXPORT_FORMATS, streamExport } = require('../utils/exportService');
+const { BULK_ACTIONS, runBulkOperation } = require('../utils/bulkOperations');
+const { getRetentionDays, deleteTrashed } = require('../utils/trashService');
+const { setETag, matchesIfMatch, sendPreconditionFailed } = require('../utils/etag');
+const { withAuditDetails } = require('../utils/auditTrail');
+const { loadRules, categorize } = require('../utils/rulesEngine');
+const { loadPayees, findPayeeForTitle, defaultCategoryFor } = require('../utils/payeeService');
+const { findDuplicateGroups, findDuplicatesOf, mergeDuplicates, dismissDuplicates } = require('../utils/duplicateService');
 
 const router = express.Router();
 
+const ATTACHMENT_MIME_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'image/heic',
+  'application/pdf'
+];
+const ATTACHMENT_MAX_SIZE = (parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 5) * 1024 * 1024;
+const ATTACHMENT_QUOTA = (parseInt(process.env.ATTACHMENT_QUOTA_MB) || 100) * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_TRANSACTION = 10;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_MAX_SIZE, files: MAX_ATTACHMENTS_PER_TRANSACTION },
+  fileFilter: (req, file, cb) => {
+    if (!ATTACHMENT_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error(`File type ${file.mimetype} is not allowed`);
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Validators for the optional split lines of a transaction
+const splitValidators = [
+  body('splits')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Splits must be an array of at most 20 lines'),
+  body('splits.*.category')
+    .isMongoId()
+    .withMessage('Each split needs a valid category ID'),
+  body('splits.*.amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Each split amount must be greater than 0'),
+  body('splits.*.note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Split note cannot be more than 200 characters')
+];
+
+const hasSplits = (reqBody) => Array.isArray(reqBody.splits) && reqBody.splits.length > 0;
+
+// Run multer and turn its errors into 400 responses
+const uploadAttachments = (req, res, next) => {
+  upload.array('attachments', MAX_ATTACHMENTS_PER_TRANSACTION)(req, res, (error) => {
+    if (!error) return next();
+
+    let message = error.message;
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      message = `Each file must be smaller than ${ATTACHMENT_MAX_SIZE / (1024 * 1024)}MB`;
+    } else if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+      message = `Upload at most ${MAX_ATTACHMENTS_PER_TRANSACTION} files in the attachments field`;
+    }
+
+    res.status(400).json({
+      success: false,
+      message
+    });
+  });
+};
+
 // @desc    Get all transactions for user
 // @route   GET /api/transactions
 // @access  Private
 router.get('/', protect, async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 20,
-      type,
-      category,
-      startDate,
-      endDate,
-      sortBy = 'date',
-      sortOrder = 'desc',
-      search
-    } = req.query;
+    const { transactions, pagination } = await listTransactions(req.user._id, req.query);
 
-    const filter = { user: req.user._id };
+    res.json({
+      success: true,
+      data: {
+        transactions,
+        pagination
+      }
+    });
+  } catch (error) {
+    console.error('Get transactions error:', error);
 
-    // Apply filters
-    if (type && ['income', 'expense'].includes(type)) {
-      filter.type = type;
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
     }
 
-    if (category) {
-      filter.category = category;
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get recent transactions
+// @route   GET /api/transactions/recent
+// @access  Private
+router.get('/recent', protect, async (req, res) => {
+  try {
+    const { limit = 10 } = req.query;
+
+    const transactions = await Transaction.find({ user: req.user._id })
+      .populate('category', 'name icon color type')
+      .sort({ date: -1 })
+      .limit(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        transactions
+      }
+    });
+  } catch (error) {
+    console.error('Get recent transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Export transactions
+// @route   GET /api/transactions/export
+// @access  Private
+router.get('/export', protect, async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of ${EXPORT_FORMATS.join(', ')}`
+      });
     }
 
-    if (startDate || endDate) {
-      filter.date = {};
-      if (startDate) filter.date.$gte = new Date(startDate);
-      if (endDate) filter.date.$lte = new Date(endDate);
+    const filter = buildTransactionFilter(req.user._id, req.query);
+    await streamExport(res, format, filter, req.user);
+  } catch (error) {
+    console.error('Export transactions error:', error);
+
+    // Once streaming has started the status line is already sent
+    if (res.headersSent) {
+      return res.destroy(error);
     }
 
-    if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
     }
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+// @desc    Get trashed transactions
+// @route   GET /api/transactions/trash
+// @access  Private
+router.get('/trash', protect, async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const filter = { user: req.user._id, deletedAt: { $ne: null } };
 
     const transactions = await Transaction.find(filter)
       .populate('category', 'name icon color type')
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
+      .sort({ deletedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
 
     const total = await Transaction.countDocuments(filter);
+    const retentionDays = getRetentionDays();
 
     res.json({
       success: true,
       data: {
-        transactions,
+        transactions: transactions.map(transaction => ({
+          ...transaction.toJSON(),
+          purgeAt: new Date(transaction.deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000)
+        })),
+        retentionDays,
         pagination: {
           current: parseInt(page),
-          pages: Math.ceil(total / parseInt(limit)),
-          total,
-          limit: parseInt(limit)
+          pages: Math.ceil(total / limit),
+          total
         }
       }
     });
   } catch (error) {
-    console.error('Get transactions error:', error);
+    console.error('Get trash error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -84,26 +223,224 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
-// @desc    Get recent transactions
-// @route   GET /api/transactions/recent
+// @desc    Restore trashed transactions
+// @route   POST /api/transactions/trash/restore
 // @access  Private
-router.get('/recent', protect, async (req, res) => {
+router.post('/trash/restore', [
+  protect,
+  body('ids')
+    .isArray({ min: 1, max: 1000 })
+    .withMessage('IDs must be an array of 1 to 1000 transaction IDs'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Each ID must be a valid transaction ID')
+], async (req, res) => {
   try {
-    const { limit = 10 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    const transactions = await Transaction.find({ user: req.user._id })
-      .populate('category', 'name icon color type')
-      .sort({ date: -1 })
-      .limit(parseInt(limit));
+    const result = await Transaction.updateMany(
+      { _id: { $in: req.body.ids }, user: req.user._id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null } }
+    );
 
     res.json({
       success: true,
+      message: `${result.modifiedCount} transaction(s) restored`,
       data: {
-        transactions
+        restored: result.modifiedCount
       }
     });
   } catch (error) {
-    console.error('Get recent transactions error:', error);
+    console.error('Restore transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Permanently delete every trashed transaction
+// @route   DELETE /api/transactions/trash
+// @access  Private
+router.delete('/trash', protect, async (req, res) => {
+  try {
+    const deleted = await deleteTrashed({ user: req.user._id });
+
+    res.json({
+      success: true,
+      message: `${deleted} transaction(s) permanently deleted`,
+      data: {
+        deleted
+      }
+    });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Permanently delete one trashed transaction
+// @route   DELETE /api/transactions/trash/:id
+// @access  Private
+router.delete('/trash/:id', protect, async (req, res) => {
+  try {
+    const deleted = await deleteTrashed({ _id: req.params.id, user: req.user._id });
+
+    if (deleted === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found in trash'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Transaction permanently deleted'
+    });
+  } catch (error) {
+    console.error('Delete trashed transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Find groups of likely duplicate transactions
+// @route   GET /api/transactions/duplicates
+// @access  Private
+router.get('/duplicates', protect, async (req, res) => {
+  try {
+    const filter = buildTransactionFilter(req.user._id, req.query);
+    const { windowDays, scanned, groups } = await findDuplicateGroups(filter, req.query.days);
+
+    res.json({
+      success: true,
+      data: {
+        groups,
+        windowDays,
+        scanned
+      }
+    });
+  } catch (error) {
+    console.error('Find duplicates error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Merge a group of duplicates into one transaction
+// @route   POST /api/transactions/duplicates/merge
+// @access  Private
+router.post('/duplicates/merge', [
+  protect,
+  body('ids')
+    .isArray({ min: 2, max: 50 })
+    .withMessage('IDs must be an array of 2 to 50 transaction IDs'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Each ID must be a valid transaction ID'),
+  body('keep')
+    .optional()
+    .isMongoId()
+    .withMessage('Keep must be a valid transaction ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { kept, trashed } = await mergeDuplicates(req.user._id, req.body.ids, req.body.keep);
+    await kept.populate('category', 'name icon color type');
+
+    res.json({
+      success: true,
+      message: `Merged ${trashed.length + 1} transactions; ${trashed.length} moved to trash`,
+      data: {
+        transaction: kept,
+        trashed
+      }
+    });
+  } catch (error) {
+    console.error('Merge duplicates error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Mark a group of transactions as not duplicates
+// @route   POST /api/transactions/duplicates/dismiss
+// @access  Private
+router.post('/duplicates/dismiss', [
+  protect,
+  body('ids')
+    .isArray({ min: 2, max: 50 })
+    .withMessage('IDs must be an array of 2 to 50 transaction IDs'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Each ID must be a valid transaction ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const count = await dismissDuplicates(req.user._id, req.body.ids);
+
+    res.json({
+      success: true,
+      message: `${count} transactions will no longer be flagged as duplicates of each other`
+    });
+  } catch (error) {
+    console.error('Dismiss duplicates error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -128,6 +465,7 @@ router.get('/:id', protect, async (req, res) => {
       });
     }
 
+    setETag(res, transaction);
     res.json({
       success: true,
       data: {
@@ -159,6 +497,8 @@ router.post('/', [
     .isIn(['income', 'expense'])
     .withMessage('Type must be either income or expense'),
   body('category')
+    .if((value, { req }) => !hasSplits(req.body))
+    .optional()
     .isMongoId()
     .withMessage('Valid category ID is required'),
   body('date')
@@ -178,7 +518,24 @@ router.post('/', [
     .optional()
     .trim()
     .isLength({ max: 1000 })
-    .withMessage('Notes cannot be more than 1000 characters')
+    .withMessage('Notes cannot be more than 1000 characters'),
+  body('account')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid account ID is required'),
+  body('currency')
+    .optional()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Currency must be a 3-letter ISO code'),
+  body('payee')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid payee ID is required'),
+  body('checkDuplicates')
+    .optional()
+    .isBoolean()
+    .withMessage('checkDuplicates must be boolean'),
+  ...splitValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -194,20 +551,61 @@ router.post('/', [
       title,
       amount,
       type,
-      category,
       date,
       description,
       tags,
       notes,
       location,
       isRecurring,
-      recurringPattern
+      recurringPattern,
+      splits,
+      account,
+      currency
     } = req.body;
 
-    // Verify category belongs to user and matches type
-    const categoryDoc = await Category.findOne({
-      _id: category,
-      user: req.user._id,
+    // A split transaction takes its category from its lines
+    let category = hasSplits(req.body) ? splits[0].category : req.body.category;
+
+    // Without a category, the user's rules pick one (and may rename or tag)
+    const ruleData = { title, description, amount: parseFloat(amount), type, tags: tags || [] };
+    let appliedRules = [];
+    if (!category) {
+      appliedRules = categorize(await loadRules(req.user._id), ruleData);
+      category = ruleData.category;
+    }
+
+    // Link the given payee, or the one the title names
+    let payee;
+    if (req.body.payee) {
+      payee = await Payee.findOne({ _id: req.body.payee, user: req.user._id })
+        .populate('defaultCategory', 'type isActive');
+
+      if (!payee) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payee'
+        });
+      }
+    } else {
+      payee = findPayeeForTitle(await loadPayees(req.user._id), ruleData.title);
+    }
+
+    // Last, fall back to the payee's default category
+    if (!category) {
+      category = defaultCategoryFor(payee, type);
+    }
+
+    if (!category) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category is required when no rule or payee provides one'
+      });
+    }
+
+    // Verify category belongs to user and matches type
+    const categoryDoc = await Category.findOne({
+      _id: category,
+      user: req.user._id,
       type: type,
       isActive: true
     });
@@ -220,28 +618,54 @@ router.post('/', [
     }
 
     const transactionData = {
-      title,
+      title: ruleData.title,
       amount,
       type,
       category,
       user: req.user._id,
       date: date ? new Date(date) : new Date(),
       description,
-      tags: tags || [],
+      tags: ruleData.tags,
       notes,
-      location,
+      location: Transaction.toLocation(location),
       isRecurring: isRecurring || false,
-      recurringPattern: isRecurring ? recurringPattern : undefined
+      recurringPattern: isRecurring ? recurringPattern : undefined,
+      splits: splits || [],
+      account,
+      payee: payee ? payee._id : undefined,
+      currency: currency || req.user.currency || 'USD'
     };
 
+    // Optionally stop and warn instead of saving a probable double entry;
+    // the client resends without checkDuplicates to save it anyway
+    if (req.body.checkDuplicates === true || req.body.checkDuplicates === 'true') {
+      const duplicates = await findDuplicatesOf(req.user._id, {
+        ...transactionData,
+        amount: parseFloat(amount)
+      });
+
+      if (duplicates.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'This looks like a duplicate of an existing transaction',
+          data: {
+            duplicates
+          }
+        });
+      }
+    }
+
     const transaction = await Transaction.create(transactionData);
     await transaction.populate('category', 'name icon color type');
 
+    setETag(res, transaction);
+
     res.status(201).json({
       success: true,
       message: 'Transaction created successfully',
       data: {
-        transaction
+        transaction,
+        appliedRules
       }
     });
   } catch (error) {
@@ -261,6 +685,126 @@ router.post('/', [
   }
 });
 
+// @desc    Apply an action to many transactions by ID list or filter
+// @route   POST /api/transactions/bulk
+// @access  Private
+router.post('/bulk', [
+  protect,
+  body('action')
+    .isIn(BULK_ACTIONS)
+    .withMessage(`Action must be one of ${BULK_ACTIONS.join(', ')}`),
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: 1000 })
+    .withMessage('IDs must be an array of 1 to 1000 transaction IDs'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Each ID must be a valid transaction ID'),
+  body('filter')
+    .optional()
+    .isObject()
+    .withMessage('Filter must be an object'),
+  body('category')
+    .if(body('action').equals('recategorize'))
+    .isMongoId()
+    .withMessage('Valid category ID is required'),
+  body('tags')
+    .if(body('action').isIn(['addTags', 'removeTags']))
+    .isArray({ min: 1 })
+    .withMessage('Tags must be a non-empty array'),
+  body('tags.*')
+    .isString()
+    .withMessage('Each tag must be between 1 and 30 characters')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Each tag must be between 1 and 30 characters'),
+  body('status')
+    .if(body('action').equals('setStatus'))
+    .isIn(['completed', 'pending', 'cancelled'])
+    .withMessage('Status must be completed, pending or cancelled'),
+  body('days')
+    .if(body('action').equals('shiftDates'))
+    .isInt({ min: -3650, max: 3650 })
+    .withMessage('Days must be a non-zero number of days up to 3650')
+    .not().equals('0')
+    .withMessage('Days must be a non-zero number of days up to 3650'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { action, ids, filter: filterQuery, category, tags, status, days, dryRun } = req.body;
+
+    // Refuse to act on the whole ledger by accident
+    if (!ids && (!filterQuery || Object.keys(filterQuery).length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a list of IDs or a non-empty filter'
+      });
+    }
+
+    const filter = buildTransactionFilter(req.user._id, filterQuery || {});
+    if (ids) {
+      filter._id = { $in: ids };
+    }
+
+    const result = await runBulkOperation({
+      action,
+      params: { category, tags, status, days: parseInt(days) },
+      filter,
+      userId: req.user._id,
+      dryRun: dryRun === true || dryRun === 'true'
+    });
+
+    res.json({
+      success: true,
+      message: result.dryRun
+        ? `${result.modified} transaction(s) would be changed`
+        : `${result.modified} transaction(s) updated`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Bulk transactions error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Answer an edit that lost a race with the transaction as it is now
+const sendTransactionConflict = async (res, id, userId) => {
+  const current = await Transaction.findOne({ _id: id, user: userId })
+    .populate('category', 'name icon color type');
+
+  if (!current) {
+    return res.status(404).json({
+      success: false,
+      message: 'Transaction not found'
+    });
+  }
+
+  return sendPreconditionFailed(res, 'transaction', current);
+};
+
 // @desc    Update transaction
 // @route   PUT /api/transactions/:id
 // @access  Private
@@ -296,7 +840,32 @@ router.put('/:id', [
     .optional()
     .trim()
     .isLength({ max: 1000 })
-    .withMessage('Notes cannot be more than 1000 characters')
+    .withMessage('Notes cannot be more than 1000 characters'),
+  body('account')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid account ID is required'),
+  body('toAccount')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid destination account ID is required'),
+  body('toAmount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Transfer amount must be greater than 0'),
+  body('payee')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Valid payee ID is required'),
+  body('status')
+    .optional()
+    .isIn(['completed', 'pending', 'cancelled'])
+    .withMessage('Status must be completed, pending or cancelled'),
+  body('currency')
+    .optional()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Currency must be a 3-letter ISO code'),
+  ...splitValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -320,6 +889,19 @@ router.put('/:id', [
       });
     }
 
+    if (!matchesIfMatch(req, transaction)) {
+      await transaction.populate('category', 'name icon color type');
+      return sendPreconditionFailed(res, 'transaction', transaction);
+    }
+
+    // Transfers have no category
+    if (transaction.type === 'transfer' && (req.body.category || hasSplits(req.body))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transfers cannot have a category'
+      });
+    }
+
     // If category is being updated, verify it belongs to user
     if (req.body.category) {
       const categoryDoc = await Category.findOne({
@@ -336,9 +918,25 @@ router.put('/:id', [
       }
     }
 
+    // Verify a payee being linked belongs to user (null unlinks)
+    if (req.body.payee) {
+      const payeeDoc = await Payee.findOne({
+        _id: req.body.payee,
+        user: req.user._id
+      });
+
+      if (!payeeDoc) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payee'
+        });
+      }
+    }
+
     const allowedUpdates = [
       'title', 'amount', 'category', 'date', 'description', 
-      'tags', 'notes', 'location', 'isRecurring', 'recurringPattern'
+      'tags', 'notes', 'location', 'isRecurring', 'recurringPattern', 'splits',
+      'account', 'toAccount', 'toAmount', 'payee', 'currency', 'status'
     ];
     const updates = {};
 
@@ -348,12 +946,86 @@ router.put('/:id', [
       }
     });
 
-    const updatedTransaction = await Transaction.findByIdAndUpdate(
-      req.params.id,
+    // Reconciled transactions keep the amounts and dates on the statement
+    transaction.checkUnlocked(updates);
+
+    // A transaction moved into the future waits for its date; one moved back
+    // from it no longer does. A status set by hand stays as set.
+    const date = updates.date !== undefined ? new Date(updates.date) : transaction.date;
+    if (updates.status !== undefined) {
+      updates.completeOnDate = updates.status === 'pending' && date > new Date();
+    } else if (updates.date !== undefined && (transaction.status === 'completed' || transaction.completeOnDate)) {
+      const future = date > new Date();
+      updates.status = future ? 'pending' : 'completed';
+      updates.completeOnDate = future;
+    }
+
+    if (updates.location !== undefined) {
+      updates.location = Transaction.toLocation(updates.location);
+    }
+
+    // Verify any account being changed belongs to user
+    if (updates.account !== undefined || updates.toAccount !== undefined) {
+      await Transaction.checkAccounts(
+        req.user._id,
+        transaction.type,
+        updates.account !== undefined ? updates.account : transaction.account,
+        updates.toAccount !== undefined ? updates.toAccount : transaction.toAccount
+      );
+    }
+
+    // Moving a split transaction to a single category removes its split
+    if (updates.category && updates.splits === undefined && transaction.splits.length > 0) {
+      updates.splits = [];
+    }
+
+    // Re-check split lines when they or the amount they must add up to change
+    const splits = updates.splits !== undefined ? updates.splits : transaction.splits;
+    if (splits.length > 0 && (updates.splits !== undefined || updates.amount !== undefined)) {
+      updates.category = await Transaction.checkSplits(
+        req.user._id,
+        transaction.type,
+        updates.amount !== undefined ? updates.amount : transaction.amount,
+        splits
+      );
+    }
+
+    if (updates.recurringPattern) {
+      const pattern = { ...updates.recurringPattern };
+      const current = transaction.recurringPattern || {};
+      delete updates.recurringPattern;
+
+      // Reschedule a recurring template whose pattern changed without a due date
+      if (pattern.frequency && !pattern.nextDueDate) {
+        const anchor = updates.date ? new Date(updates.date) : transaction.date;
+        pattern.nextDueDate = getNextOccurrence(
+          anchor,
+          pattern.frequency,
+          pattern.interval !== undefined ? pattern.interval : current.interval,
+          anchor
+        );
+      }
+
+      // Merge into the stored pattern, so pause, skip and override state
+      // is kept unless the request sets it
+      Object.keys(pattern).forEach(key => {
+        updates[`recurringPattern.${key}`] = pattern[key];
+      });
+    }
+
+    // Only applied to the version checked above, so a concurrent edit is
+    // reported instead of overwritten
+    const updatedTransaction = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, user: req.user._id, updatedAt: transaction.updatedAt },
       updates,
       { new: true, runValidators: true }
     ).populate('category', 'name icon color type');
 
+    if (!updatedTransaction) {
+      return sendTransactionConflict(res, transaction._id, req.user._id);
+    }
+
+    setETag(res, updatedTransaction);
     res.json({
       success: true,
       message: 'Transaction updated successfully',
@@ -378,7 +1050,7 @@ router.put('/:id', [
   }
 });
 
-// @desc    Delete transaction
+// @desc    Move transaction to the trash
 // @route   DELETE /api/transactions/:id
 // @access  Private
 router.delete('/:id', protect, async (req, res) => {
@@ -395,14 +1067,377 @@ router.delete('/:id', protect, async (req, res) => {
       });
     }
 
-    await Transaction.findByIdAndDelete(req.params.id);
+    if (!matchesIfMatch(req, transaction)) {
+      await transaction.populate('category', 'name icon color type');
+      return sendPreconditionFailed(res, 'transaction', transaction);
+    }
+
+    transaction.checkUnlocked();
+
+    // Attachments are kept until the trash is emptied; the save only applies
+    // to the version checked above
+    transaction.deletedAt = new Date();
+    transaction.$where = { updatedAt: transaction.updatedAt };
+    await transaction.save();
 
     res.json({
       success: true,
-      message: 'Transaction deleted successfully'
+      message: 'Transaction moved to trash'
     });
   } catch (error) {
     console.error('Delete transaction error:', error);
+
+    if (error.name === 'DocumentNotFoundError') {
+      return sendTransactionConflict(res, req.params.id, req.user._id);
+    }
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Fields a revert restores; attachments and trash state are left alone
+const REVERTABLE_FIELDS = [
+  'title', 'description', 'amount', 'type', 'category', 'splits', 'account',
+  'toAccount', 'toAmount', 'payee', 'currency', 'date', 'tags', 'location',
+  'isRecurring', 'recurringPattern', 'status', 'notes'
+];
+
+// @desc    Get the edit history of a transaction
+// @route   GET /api/transactions/:id/history
+// @access  Private
+router.get('/:id/history', protect, async (req, res) => {
+  try {
+    const transaction = await Transaction.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    }).setOptions({ withDeleted: true });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    const history = await AuditLog.find({
+      entityType: 'Transaction',
+      entityId: transaction._id,
+      user: req.user._id
+    })
+      .select('-snapshot')
+      .populate('actor', 'name email')
+      .sort({ version: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        history
+      }
+    });
+  } catch (error) {
+    console.error('Get transaction history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Revert a transaction to the state saved in a prior version
+// @route   POST /api/transactions/:id/revert
+// @access  Private
+router.post('/:id/revert', [
+  protect,
+  body('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const transaction = await Transaction.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    if (!matchesIfMatch(req, transaction)) {
+      await transaction.populate('category', 'name icon color type');
+      return sendPreconditionFailed(res, 'transaction', transaction);
+    }
+
+    const version = parseInt(req.body.version);
+    const entry = await AuditLog.findOne({
+      entityType: 'Transaction',
+      entityId: transaction._id,
+      user: req.user._id,
+      version
+    });
+
+    if (!entry || !entry.snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    transaction.checkUnlocked(Object.fromEntries(
+      REVERTABLE_FIELDS.map(field => [field, entry.snapshot[field] === undefined ? null : entry.snapshot[field]])
+    ));
+
+    // The schedule position is not part of the history; keep the current one
+    const nextDueDate = transaction.recurringPattern && transaction.recurringPattern.nextDueDate;
+
+    REVERTABLE_FIELDS.forEach(field => {
+      const value = entry.snapshot[field];
+      transaction.set(field, value === null ? undefined : value);
+    });
+
+    if (nextDueDate && transaction.isRecurring && transaction.recurringPattern) {
+      transaction.recurringPattern.nextDueDate = nextDueDate;
+    }
+
+    // Saving runs the same category, split and account checks as an edit
+    transaction.$where = { updatedAt: transaction.updatedAt };
+    await withAuditDetails({ revertedTo: version }, () => transaction.save());
+    await transaction.populate('category', 'name icon color type');
+
+    setETag(res, transaction);
+
+    res.json({
+      success: true,
+      message: `Transaction reverted to version ${version}`,
+      data: {
+        transaction
+      }
+    });
+  } catch (error) {
+    console.error('Revert transaction error:', error);
+
+    if (error.name === 'DocumentNotFoundError') {
+      return sendTransactionConflict(res, req.params.id, req.user._id);
+    }
+
+    if (error.statusCode === 400 || error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Upload attachments to a transaction
+// @route   POST /api/transactions/:id/attachments
+// @access  Private
+router.post('/:id/attachments', protect, uploadAttachments, idempotentUpload, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files uploaded'
+      });
+    }
+
+    const transaction = await Transaction.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    if (transaction.attachments.length + req.files.length > MAX_ATTACHMENTS_PER_TRANSACTION) {
+      return res.status(400).json({
+        success: false,
+        message: `A transaction can have at most ${MAX_ATTACHMENTS_PER_TRANSACTION} attachments`
+      });
+    }
+
+    const usage = await Transaction.getAttachmentUsage(req.user._id);
+    const uploadSize = req.files.reduce((sum, file) => sum + file.size, 0);
+
+    if (usage.size + uploadSize > ATTACHMENT_QUOTA) {
+      return res.status(413).json({
+        success: false,
+        message: 'Attachment storage quota exceeded',
+        data: {
+          used: usage.size,
+          quota: ATTACHMENT_QUOTA
+        }
+      });
+    }
+
+    const storage = getStorage();
+    const saved = [];
+
+    try {
+      for (const file of req.files) {
+        const { key, url } = await storage.save({
+          buffer: file.buffer,
+          filename: file.originalname,
+          mimetype: file.mimetype,
+          folder: `attachments/${req.user._id}`
+        });
+
+        saved.push({
+          filename: file.originalname,
+          url,
+          mimetype: file.mimetype,
+          size: file.size,
+          key,
+          storage: storage.name
+        });
+      }
+
+      transaction.attachments.push(...saved);
+
+      // Local files are served through the authenticated download route
+      transaction.attachments.forEach(attachment => {
+        if (!attachment.url) {
+          attachment.url = `/api/transactions/${transaction._id}/attachments/${attachment._id}`;
+        }
+      });
+
+      await transaction.save();
+    } catch (uploadError) {
+      // Files of a failed upload would otherwise count against the quota
+      await removeAttachments(saved);
+      throw uploadError;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachments uploaded successfully',
+      data: {
+        attachments: transaction.attachments
+      }
+    });
+  } catch (error) {
+    console.error('Upload attachments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error uploading attachments'
+    });
+  }
+});
+
+// @desc    Download a locally stored attachment
+// @route   GET /api/transactions/:id/attachments/:attachmentId
+// @access  Private
+router.get('/:id/attachments/:attachmentId', protect, async (req, res) => {
+  try {
+    const transaction = await Transaction.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    const attachment = transaction && transaction.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    if (attachment.storage !== 'local') {
+      return res.redirect(attachment.url);
+    }
+
+    res.set('Content-Type', attachment.mimetype);
+    // Plain ASCII name for old clients, the exact name (RFC 5987) for the rest
+    const asciiName = attachment.filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encodedName = encodeURIComponent(attachment.filename)
+      .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    res.set('Content-Disposition', `inline; filename="${asciiName}"; filename*=UTF-8''${encodedName}`);
+
+    const stream = getStorage('local').createReadStream(attachment.key);
+    stream.on('error', (streamError) => {
+      console.error('Download attachment error:', streamError);
+      if (!res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Attachment file not found'
+        });
+      } else {
+        res.end();
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete an attachment from a transaction
+// @route   DELETE /api/transactions/:id/attachments/:attachmentId
+// @access  Private
+router.delete('/:id/attachments/:attachmentId', protect, async (req, res) => {
+  try {
+    const transaction = await Transaction.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    const attachment = transaction && transaction.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    attachment.deleteOne();
+    await transaction.save();
+    await removeAttachments([attachment]);
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully',
+      data: {
+        attachments: transaction.attachments
+      }
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -420,7 +1455,7 @@ router.get('/summary', protect, async (req, res) => {
     const start = startDate ? new Date(startDate) : new Date(new Date().getFullYear(), new Date().getMonth(), 1);
     const end = endDate ? new Date(endDate) : new Date();
 
-    const summary = await Transaction.getUserSummary(req.user._id, start, end);
+    const summary = await Transaction.getUserSummary(req.user._id, start, end, req.user.currency);
 
     res.json({
       success: true,
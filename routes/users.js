@@ -2,7 +2,9 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { protect } = require('../middleware/auth');
+const { idempotentUpload } = require('../middleware/idempotency');
 const { sendEmailChangeOTPEmail } = require('../utils/emailService');
+const { removeAttachments } = require('../utils/storage');
 
 const multer = require('multer');
 const streamifier = require('streamifier');
@@ -18,7 +20,7 @@ const upload = multer({ storage: multer.memoryStorage() });
 
 const router = express.Router();
 
-router.post('/avatar', protect, upload.single('avatar'), async (req, res) => {
+router.post('/avatar', protect, upload.single('avatar'), idempotentUpload, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ success: false, message: 'No image file uploaded' });
@@ -236,12 +238,47 @@ router.delete('/account', protect, async (req, res) => {
     // Cascade delete user's data
     const Transaction = require('../models/Transaction');
     const Category = require('../models/Category');
+    const Import = require('../models/Import');
+    const Account = require('../models/Account');
+    const SavedView = require('../models/SavedView');
+    const Rule = require('../models/Rule');
+    const Payee = require('../models/Payee');
+    const Reconciliation = require('../models/Reconciliation');
+    const IdempotencyKey = require('../models/IdempotencyKey');
+    const Webhook = require('../models/Webhook');
+    const WebhookDelivery = require('../models/WebhookDelivery');
+    const BudgetAlert = require('../models/BudgetAlert');
+    const RealtimeEvent = require('../models/RealtimeEvent');
+    const AuditLog = require('../models/AuditLog');
+    const Tombstone = require('../models/Tombstone');
+
+    // Remove stored attachment files before their records disappear
+    const withAttachments = await Transaction.find(
+      { user: req.user._id, 'attachments.0': { $exists: true } },
+      'attachments'
+    ).setOptions({ withDeleted: true });
+    await removeAttachments(withAttachments.flatMap(transaction => transaction.attachments));
 
     await Promise.all([
       Transaction.deleteMany({ user: req.user._id }),
-      Category.deleteMany({ user: req.user._id })
+      Category.deleteMany({ user: req.user._id }),
+      Import.deleteMany({ user: req.user._id }),
+      Account.deleteMany({ user: req.user._id }),
+      SavedView.deleteMany({ user: req.user._id }),
+      Rule.deleteMany({ user: req.user._id }),
+      Payee.deleteMany({ user: req.user._id }),
+      Reconciliation.deleteMany({ user: req.user._id }),
+      IdempotencyKey.deleteMany({ user: req.user._id }),
+      Webhook.deleteMany({ user: req.user._id }),
+      WebhookDelivery.deleteMany({ user: req.user._id }),
+      BudgetAlert.deleteMany({ user: req.user._id }),
+      RealtimeEvent.deleteMany({ user: req.user._id })
     ]);
 
+    // Cleared last: the deletes above are themselves recorded
+    await AuditLog.deleteMany({ user: req.user._id });
+    await Tombstone.deleteMany({ user: req.user._id });
+
     // Delete the user account
     await User.findByIdAndDelete(req.user._id);
 
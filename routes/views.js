@@ -0,0 +1,358 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const SavedView = require('../models/SavedView');
+const Transaction = require('../models/Transaction');
+const { protect } = require('../middleware/auth');
+const { buildTransactionFilter } = require('../utils/transactionFilters');
+const { SORT_FIELDS, listTransactions } = require('../utils/transactionListing');
+
+const router = express.Router();
+
+const viewValidators = [
+  body('description')
+    .optional()
+    .isString()
+    .withMessage('Description cannot be more than 200 characters')
+    .isLength({ max: 200 })
+    .withMessage('Description cannot be more than 200 characters'),
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('Filters must be an object of transaction filter parameters'),
+  body('sort.sortBy')
+    .optional()
+    .isIn(SORT_FIELDS)
+    .withMessage(`Sort field must be one of ${SORT_FIELDS.join(', ')}`),
+  body('sort.sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc'),
+  body('columns')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Columns must be a non-empty array'),
+  body('columns.*')
+    .isIn(SavedView.COLUMNS)
+    .withMessage(`Each column must be one of ${SavedView.COLUMNS.join(', ')}`),
+  body('isPinned')
+    .optional()
+    .isBoolean()
+    .withMessage('isPinned must be a boolean'),
+  body('pinOrder')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Pin order must be a non-negative integer')
+];
+
+// Find a view owned by the current user
+const findView = (req) => SavedView.findOne({
+  _id: req.params.id,
+  user: req.user._id
+});
+
+// @desc    Get all saved views, pinned first
+// @route   GET /api/views
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const views = await SavedView.find({ user: req.user._id })
+      .sort({ isPinned: -1, pinOrder: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        views
+      }
+    });
+  } catch (error) {
+    console.error('Get views error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get pinned views with the totals of their transactions
+// @route   GET /api/views/pinned
+// @access  Private
+router.get('/pinned', protect, async (req, res) => {
+  try {
+    const views = await SavedView.find({ user: req.user._id, isPinned: true })
+      .sort({ pinOrder: 1, name: 1 });
+
+    const pinned = await Promise.all(views.map(async view => {
+      const filter = Transaction.find(buildTransactionFilter(req.user._id, view.filters)).cast(Transaction);
+      const summary = await Transaction.getUserSummary(
+        req.user._id,
+        null,
+        null,
+        req.user.currency,
+        filter
+      );
+
+      return {
+        ...view.toObject(),
+        summary
+      };
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        views: pinned
+      }
+    });
+  } catch (error) {
+    console.error('Get pinned views error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get single saved view
+// @route   GET /api/views/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const view = await findView(req);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        view
+      }
+    });
+  } catch (error) {
+    console.error('Get view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Run a saved view, returning a page of its transactions
+// @route   GET /api/views/:id/transactions
+// @access  Private
+router.get('/:id/transactions', protect, async (req, res) => {
+  try {
+    const view = await findView(req);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    // Only paging comes from the request; filters and sort are the view's
+    const { page, limit, cursor, paginate } = req.query;
+    const { transactions, pagination } = await listTransactions(req.user._id, {
+      ...view.filters,
+      sortBy: view.sort.sortBy,
+      sortOrder: view.sort.sortOrder,
+      page,
+      limit,
+      cursor,
+      paginate
+    });
+
+    res.json({
+      success: true,
+      data: {
+        view,
+        columns: view.columns,
+        transactions,
+        pagination
+      }
+    });
+  } catch (error) {
+    console.error('Run view error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create new saved view
+// @route   POST /api/views
+// @access  Private
+router.post('/', [
+  protect,
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('View name must be between 1 and 50 characters'),
+  ...viewValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, filters, sort, columns, isPinned, pinOrder } = req.body;
+
+    const view = await SavedView.create({
+      name,
+      description,
+      filters: filters || {},
+      sort,
+      columns,
+      isPinned,
+      pinOrder,
+      user: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'View created successfully',
+      data: {
+        view
+      }
+    });
+  } catch (error) {
+    console.error('Create view error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update saved view (including pinning it)
+// @route   PUT /api/views/:id
+// @access  Private
+router.put('/:id', [
+  protect,
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('View name must be between 1 and 50 characters'),
+  ...viewValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const view = await findView(req);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    const allowedUpdates = ['name', 'description', 'filters', 'columns', 'isPinned', 'pinOrder'];
+
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        view[field] = req.body[field];
+      }
+    });
+
+    if (req.body.sort) {
+      ['sortBy', 'sortOrder'].forEach(field => {
+        if (req.body.sort[field] !== undefined) {
+          view.sort[field] = req.body.sort[field];
+        }
+      });
+    }
+
+    // Saved through the document so the name and filter checks run
+    await view.save();
+
+    res.json({
+      success: true,
+      message: 'View updated successfully',
+      data: {
+        view
+      }
+    });
+  } catch (error) {
+    console.error('Update view error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete saved view
+// @route   DELETE /api/views/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const view = await SavedView.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'View deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,493 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { protect } = require('../middleware/auth');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/pagination');
+const { generateSecret, redeliver, sendPing } = require('../utils/webhookService');
+
+const router = express.Router();
+
+const webhookValidators = [
+  body('url')
+    .optional()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Webhook URL must be a valid http or https URL'),
+  body('events')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Events must be a non-empty array'),
+  body('events.*')
+    .isIn(Webhook.WEBHOOK_EVENTS)
+    .withMessage(`Each event must be one of ${Webhook.WEBHOOK_EVENTS.join(', ')}`),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot be more than 200 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+// Why a delivery's latest attempt failed
+const lastError = (delivery) => {
+  const attempt = delivery.attempts[delivery.attempts.length - 1];
+  return (attempt && attempt.error) || `HTTP ${attempt && attempt.statusCode}`;
+};
+
+// A delivery in lists, without its payload and only its latest attempt
+const summarizeDelivery = (delivery) => {
+  const { payload, attempts, ...summary } = delivery;
+  return {
+    ...summary,
+    attemptCount: attempts.length,
+    lastAttempt: attempts[attempts.length - 1] || null
+  };
+};
+
+// @desc    Get all webhooks and the events they can subscribe to
+// @route   GET /api/webhooks
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ user: req.user._id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        webhooks,
+        events: Webhook.WEBHOOK_EVENTS
+      }
+    });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get single webhook
+// @route   GET /api/webhooks/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const webhook = await Webhook.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        webhook
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create new webhook; its signing secret is only returned here
+// @route   POST /api/webhooks
+// @access  Private
+router.post('/', [
+  protect,
+  body('url')
+    .exists()
+    .withMessage('Webhook URL is required'),
+  body('events')
+    .exists()
+    .withMessage('Events are required'),
+  ...webhookValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { url, events, description, isActive } = req.body;
+    const secret = generateSecret();
+
+    const webhook = await Webhook.create({
+      url,
+      events: [...new Set(events)],
+      description,
+      isActive,
+      secret,
+      user: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully; store its secret, it is not shown again',
+      data: {
+        webhook: {
+          ...webhook.toJSON(),
+          secret
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update webhook
+// @route   PUT /api/webhooks/:id
+// @access  Private
+router.put('/:id', [
+  protect,
+  ...webhookValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await Webhook.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const allowedUpdates = ['url', 'events', 'description', 'isActive'];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        webhook[field] = field === 'events' ? [...new Set(req.body.events)] : req.body[field];
+      }
+    });
+
+    await webhook.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: {
+        webhook
+      }
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Replace a webhook's signing secret
+// @route   POST /api/webhooks/:id/secret
+// @access  Private
+router.post('/:id/secret', protect, async (req, res) => {
+  try {
+    const secret = generateSecret();
+    const webhook = await Webhook.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { secret },
+      { new: true }
+    );
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Secret replaced; deliveries are signed with the new one from now on',
+      data: {
+        webhook: {
+          ...webhook.toJSON(),
+          secret
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Replace webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete webhook and its delivery log
+// @route   DELETE /api/webhooks/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const webhook = await Webhook.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Send a test event to a webhook
+// @route   POST /api/webhooks/:id/ping
+// @access  Private
+router.post('/:id/ping', protect, async (req, res) => {
+  try {
+    const webhook = await Webhook.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const delivery = await sendPing(webhook);
+
+    // Refused addresses fail at once and are not retried
+    res.json({
+      success: true,
+      message: {
+        succeeded: 'Ping delivered',
+        failed: `Ping failed and will not be retried: ${lastError(delivery)}`
+      }[delivery.status] || 'Ping not delivered yet; it will be retried',
+      data: {
+        delivery
+      }
+    });
+  } catch (error) {
+    console.error('Ping webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get a webhook's deliveries, newest first
+// @route   GET /api/webhooks/:id/deliveries
+// @access  Private
+router.get('/:id/deliveries', protect, async (req, res) => {
+  try {
+    const { status, event, cursor } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (status !== undefined && !['pending', 'succeeded', 'failed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be pending, succeeded or failed'
+      });
+    }
+
+    const webhook = await Webhook.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const filter = { webhook: webhook._id };
+    if (status) filter.status = status;
+    if (event) filter.event = String(event);
+
+    const position = cursor ? decodeCursor(cursor) : null;
+    if (position && position.sortBy !== 'createdAt') {
+      return res.status(400).json({
+        success: false,
+        message: 'Pagination cursor does not match this query'
+      });
+    }
+
+    let deliveries = await WebhookDelivery.find(position ? { $and: [filter, afterCursor(position)] } : filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    // One extra item was fetched to tell whether another page exists
+    const hasMore = deliveries.length > limit;
+    deliveries = deliveries.slice(0, limit);
+    const last = deliveries[deliveries.length - 1];
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: deliveries.map(summarizeDelivery),
+        pagination: {
+          limit,
+          hasMore,
+          nextCursor: hasMore && last
+            ? encodeCursor({ sortBy: 'createdAt', direction: -1, value: last.createdAt, id: last._id })
+            : null
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get a delivery with its payload and every attempt
+// @route   GET /api/webhooks/:id/deliveries/:deliveryId
+// @access  Private
+router.get('/:id/deliveries/:deliveryId', protect, async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      webhook: req.params.id,
+      user: req.user._id
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        delivery
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook delivery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Send a delivery's event again
+// @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+// @access  Private
+router.post('/:id/deliveries/:deliveryId/redeliver', protect, async (req, res) => {
+  try {
+    const webhook = await Webhook.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    const delivery = webhook && await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      webhook: webhook._id
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    const copy = await redeliver(webhook, delivery);
+
+    res.status(201).json({
+      success: true,
+      message: {
+        succeeded: 'Event redelivered',
+        failed: `Redelivery failed and will not be retried: ${lastError(copy)}`
+      }[copy.status] || 'Event not delivered yet; it will be retried',
+      data: {
+        delivery: copy
+      }
+    });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,15 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const { startRecurringScheduler } = require('./utils/recurringService');
+const { loadRatesFromFile } = require('./utils/exchangeRates');
+const { startTrashPurgeScheduler } = require('./utils/trashService');
+const { startPendingScheduler } = require('./utils/pendingService');
+const { startWebhookDispatcher } = require('./utils/webhookService');
+const { startRealtimeEvents } = require('./utils/realtimeService');
+const { auditContext } = require('./utils/auditTrail');
+const { idempotency } = require('./middleware/idempotency');
+const Transaction = require('./models/Transaction');
 
 const app = express();
 
@@ -40,7 +49,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key', 'If-Match'],
+  exposedHeaders: ['Idempotent-Replayed', 'ETag', 'Location'],
   optionsSuccessStatus: 200
 }));
 
@@ -51,9 +61,29 @@ app.options('*', cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Lets the audit trail record who made each change
+app.use(auditContext);
+
+// Retried POST/PUT/DELETE requests with the same Idempotency-Key replay the
+// first response instead of running again
+app.use('/api', idempotency);
+
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/income-expense-app')
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+  startRecurringScheduler();
+  startTrashPurgeScheduler();
+  startPendingScheduler();
+  startWebhookDispatcher();
+  startRealtimeEvents();
+  Transaction.migrateLegacyLocations()
+    .then(migrated => migrated && console.log(`Transaction locations migrated to GeoJSON: ${migrated}`))
+    .catch(err => console.error('Location migration error:', err));
+  loadRatesFromFile()
+    .then(result => result && console.log(`Exchange rates loaded: ${result.saved} saved, ${result.errors.length} rejected`))
+    .catch(err => console.error('Exchange rate file error:', err));
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -62,6 +92,18 @@ app.use('/api/users', require('./routes/users'));
 app.use('/api/transactions', require('./routes/transactions'));
 app.use('/api/categories', require('./routes/categories'));
 app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/recurring', require('./routes/recurring'));
+app.use('/api/imports', require('./routes/imports'));
+app.use('/api/accounts', require('./routes/accounts'));
+app.use('/api/exchange-rates', require('./routes/exchangeRates'));
+app.use('/api/views', require('./routes/views'));
+app.use('/api/rules', require('./routes/rules'));
+app.use('/api/payees', require('./routes/payees'));
+app.use('/api/reconciliations', require('./routes/reconciliations'));
+app.use('/api/tags', require('./routes/tags'));
+app.use('/api/sync', require('./routes/sync'));
+app.use('/api/webhooks', require('./routes/webhooks'));
+app.use('/api/events', require('./routes/events'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
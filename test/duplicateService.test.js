@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { titleSimilarity, groupDuplicates } = require('../utils/duplicateService');
+
+test('titleSimilarity ignores case, spaces and punctuation', () => {
+  assert.strictEqual(titleSimilarity('UBER *TRIP', 'Uber trip'), 1);
+  assert.strictEqual(titleSimilarity('Café Nero', 'cafe-nero'), titleSimilarity('café nero', 'cafenero'));
+});
+
+test('titleSimilarity scores shared letter pairs between 0 and 1', () => {
+  // "night" and "nacht" share only the "ht" pair: 2 * 1 / (4 + 4)
+  assert.strictEqual(titleSimilarity('night', 'nacht'), 0.25);
+  assert.strictEqual(titleSimilarity('Netflix', 'Spotify'), 0);
+
+  const close = titleSimilarity('Amazon Marketplace', 'Amazon Mktplace');
+  assert.ok(close > 0.6 && close < 1);
+});
+
+test('titleSimilarity counts repeated pairs only as often as both titles have them', () => {
+  // "aaaa" has the pair "aa" three times, "aa" once: 2 * 1 / (3 + 1)
+  assert.strictEqual(titleSimilarity('aaaa', 'aa'), 0.5);
+});
+
+test('titleSimilarity treats titles too short to compare as different', () => {
+  assert.strictEqual(titleSimilarity('a', 'ab'), 0);
+  assert.strictEqual(titleSimilarity('', 'rent'), 0);
+});
+
+const entry = (id, title, amount, date, extra = {}) =>
+  ({ _id: id, title, amount, type: 'expense', date: new Date(date), ...extra });
+const ids = (groups) => groups.map(group => group.map(transaction => transaction._id));
+
+test('groupDuplicates groups similar entries within the date window', () => {
+  const transactions = [
+    entry('a', 'UBER *TRIP', 12.5, '2024-03-01'),
+    entry('b', 'Uber trip', 12.5, '2024-03-03'),
+    entry('c', 'Uber Trip', 12.5, '2024-03-10')
+  ];
+
+  assert.deepStrictEqual(ids(groupDuplicates(transactions, 3)), [['a', 'b']]);
+  assert.deepStrictEqual(ids(groupDuplicates(transactions, 0)), []);
+  // A~B and B~C join one group even though A and C are further apart
+  assert.deepStrictEqual(ids(groupDuplicates(transactions, 7)), [['a', 'b', 'c']]);
+});
+
+test('groupDuplicates only matches entries of the same type and amount to the cent', () => {
+  const transactions = [
+    entry('a', 'Coffee', 3.5, '2024-03-01'),
+    entry('b', 'Coffee', 3.501, '2024-03-01'),
+    entry('c', 'Coffee', 3.51, '2024-03-01'),
+    entry('d', 'Coffee', 3.51, '2024-03-01', { type: 'income' })
+  ];
+
+  assert.deepStrictEqual(ids(groupDuplicates(transactions, 3)), [['a', 'b']]);
+});
+
+test('groupDuplicates leaves out entries with different titles', () => {
+  const transactions = [
+    entry('a', 'Netflix', 9.99, '2024-03-01'),
+    entry('b', 'Spotify', 9.99, '2024-03-01')
+  ];
+
+  assert.deepStrictEqual(groupDuplicates(transactions, 3), []);
+});
+
+test('groupDuplicates skips pairs dismissed by either entry', () => {
+  const transactions = [
+    entry('a', 'Rent', 900, '2024-03-01', { dismissedDuplicates: ['b'] }),
+    entry('b', 'Rent', 900, '2024-03-01'),
+    entry('c', 'Rent', 50, '2024-03-01'),
+    entry('d', 'Rent', 50, '2024-03-02', { dismissedDuplicates: ['c'] })
+  ];
+
+  assert.deepStrictEqual(groupDuplicates(transactions, 3), []);
+});
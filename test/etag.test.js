@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getETag, matchesIfMatch } = require('../utils/etag');
+
+const doc = { _id: '65f0c0ffee0000000000abcd', updatedAt: new Date('2024-05-01T12:00:00Z') };
+
+// Just enough of a request for matchesIfMatch
+const request = (ifMatch) => ({
+  get: (name) => (name === 'If-Match' ? ifMatch : undefined)
+});
+
+test('getETag changes whenever the record is updated', () => {
+  const later = { ...doc, updatedAt: new Date('2024-05-01T12:00:01Z') };
+
+  assert.match(getETag(doc), /^"65f0c0ffee0000000000abcd-[0-9a-z]+"$/);
+  assert.strictEqual(getETag({ ...doc }), getETag(doc));
+  assert.notStrictEqual(getETag(later), getETag(doc));
+});
+
+test('matchesIfMatch allows requests without a header or with *', () => {
+  assert.strictEqual(matchesIfMatch(request(undefined), doc), true);
+  assert.strictEqual(matchesIfMatch(request(' * '), doc), true);
+});
+
+test('matchesIfMatch compares the current tag, weak or strong, in a list', () => {
+  const etag = getETag(doc);
+
+  assert.strictEqual(matchesIfMatch(request(etag), doc), true);
+  assert.strictEqual(matchesIfMatch(request(`W/${etag}`), doc), true);
+  assert.strictEqual(matchesIfMatch(request(`"other", ${etag}`), doc), true);
+});
+
+test('matchesIfMatch refuses stale or unquoted tags', () => {
+  const stale = getETag({ ...doc, updatedAt: new Date('2024-04-30T00:00:00Z') });
+
+  assert.strictEqual(matchesIfMatch(request(stale), doc), false);
+  assert.strictEqual(matchesIfMatch(request(getETag(doc).replace(/"/g, '')), doc), false);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseOFX, parseOFXDate } = require('../utils/ofxParser');
+
+// OFX 1.x is SGML: leaf elements have no closing tag
+const SGML = `OFXHEADER:100
+DATA:OFXSGML
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>gbp
+<BANKACCTFROM>
+<BANKID>123456
+<ACCTID>12345678
+<ACCTTYPE>CHECKING
+</BANKACCTFROM>
+<BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20240105120000[-5:EST]
+<TRNAMT>-12,50
+<FITID>T1
+<NAME>Tesco &amp; Co
+<MEMO>Card 1234
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20240131
+<TRNAMT>1500.00
+<NAME>Salary
+</STMTTRN>
+<STMTTRN>
+<DTPOSTED>20240230
+<TRNAMT>-1.00
+</STMTTRN>
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+const XML = `<?xml version="1.0"?>
+<OFX><CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS>
+<CURDEF>USD</CURDEF>
+<CCACCTFROM><ACCTID>4111</ACCTID></CCACCTFROM>
+<BANKTRANLIST>
+<STMTTRN><DTPOSTED>20240301</DTPOSTED><TRNAMT>-20</TRNAMT><NAME>Cafe</NAME></STMTTRN>
+<STMTTRN><DTPOSTED>20240301</DTPOSTED><TRNAMT>-20</TRNAMT><NAME>Cafe</NAME></STMTTRN>
+<STMTTRN><DTPOSTED>20240302</DTPOSTED><TRNAMT>-9.99</TRNAMT><NAME>Shop</NAME>
+<CURRENCY><CURRATE>1.1</CURRATE><CURSYM>eur</CURSYM></CURRENCY></STMTTRN>
+</BANKTRANLIST>
+</CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1></OFX>`;
+
+test('parseOFXDate keeps the posting day and rejects impossible dates', () => {
+  assert.strictEqual(parseOFXDate('20240105120000[-5:EST]').toISOString(), '2024-01-05T00:00:00.000Z');
+  assert.strictEqual(parseOFXDate('20240230'), null);
+  assert.strictEqual(parseOFXDate('soon'), null);
+  assert.strictEqual(parseOFXDate(undefined), null);
+});
+
+test('parseOFX reads an SGML bank statement', () => {
+  const [statement] = parseOFX(SGML);
+
+  assert.strictEqual(statement.account, '12345678');
+  assert.strictEqual(statement.bankId, '123456');
+  assert.strictEqual(statement.accountType, 'CHECKING');
+  assert.strictEqual(statement.currency, 'GBP');
+  assert.deepStrictEqual(statement.entries[0], {
+    row: 1,
+    data: {
+      title: 'Tesco & Co',
+      amount: 12.5,
+      type: 'expense',
+      date: new Date('2024-01-05T00:00:00.000Z'),
+      description: 'Card 1234',
+      externalId: 'T1',
+      importAccount: '12345678',
+      currency: 'GBP'
+    }
+  });
+  assert.strictEqual(statement.entries[1].data.type, 'income');
+  assert.strictEqual(statement.entries[1].data.amount, 1500);
+  assert.match(statement.entries[1].data.externalId, /^gen:[0-9a-f]{40}$/);
+});
+
+test('parseOFX reports a bad transaction without failing the file', () => {
+  const [statement] = parseOFX(SGML);
+  assert.deepStrictEqual(statement.entries[2], { row: 3, error: 'Invalid DTPOSTED "20240230"' });
+});
+
+test('parseOFX reads an XML credit card statement', () => {
+  const [statement] = parseOFX(XML);
+  const [first, second, foreign] = statement.entries.map(entry => entry.data);
+
+  assert.strictEqual(statement.accountType, 'CREDITCARD');
+  assert.strictEqual(first.currency, 'USD');
+  assert.strictEqual(foreign.currency, 'EUR');
+  // Identical records without a FITID still get distinct, stable ids
+  assert.notStrictEqual(first.externalId, second.externalId);
+  assert.strictEqual(parseOFX(XML)[0].entries[1].data.externalId, second.externalId);
+});
+
+test('parseOFX rejects files that are not statements with a 400', () => {
+  assert.throws(() => parseOFX('date,amount\n2024-01-01,5'), {
+    statusCode: 400,
+    message: 'File is not a valid OFX/QFX statement'
+  });
+  assert.throws(() => parseOFX('<OFX><SIGNONMSGSRSV1></SIGNONMSGSRSV1></OFX>'), {
+    statusCode: 400,
+    message: 'No bank or credit card statements found in file'
+  });
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/pagination');
+
+const id = new mongoose.Types.ObjectId();
+const encode = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+test('cursors round-trip their sort, direction, value and id', () => {
+  const date = new Date('2024-03-01T10:00:00Z');
+  const decoded = decodeCursor(encodeCursor({ sortBy: 'date', direction: -1, value: date, id }));
+
+  assert.strictEqual(decoded.sortBy, 'date');
+  assert.strictEqual(decoded.direction, -1);
+  assert.ok(decoded.value instanceof Date);
+  assert.strictEqual(decoded.value.toISOString(), date.toISOString());
+  assert.ok(decoded.id.equals(id));
+
+  const byAmount = decodeCursor(encodeCursor({ sortBy: 'amount', direction: 1, value: 12.5, id }));
+  assert.strictEqual(byAmount.value, 12.5);
+
+  const byTitle = decodeCursor(encodeCursor({ sortBy: 'title', direction: 1, value: null, id }));
+  assert.strictEqual(byTitle.value, null);
+});
+
+test('decodeCursor rejects malformed cursors with a 400', () => {
+  const invalid = [
+    'not base64 json',
+    encode({ s: 'date', d: 2, v: 1, id: String(id) }),
+    encode({ s: 'date', d: 1, v: 1, id: 'nope' }),
+    encode({ d: 1, v: 1, id: String(id) }),
+    encode({ s: 'date', d: 1, v: { $date: 'never' }, id: String(id) })
+  ];
+
+  invalid.forEach(cursor => {
+    assert.throws(() => decodeCursor(cursor), { statusCode: 400, message: 'Invalid pagination cursor' });
+  });
+});
+
+test('decodeCursor refuses operator objects as positions', () => {
+  assert.throws(
+    () => decodeCursor(encode({ s: 'amount', d: 1, v: { $gt: 0 }, id: String(id) })),
+    { statusCode: 400 }
+  );
+  assert.throws(
+    () => decodeCursor(encode({ s: 'date', d: 1, v: { $date: '2024-01-01', $ne: 1 }, id: String(id) })),
+    { statusCode: 400 }
+  );
+});
+
+test('afterCursor continues past the position in the sort direction', () => {
+  assert.deepStrictEqual(afterCursor({ sortBy: 'amount', direction: -1, value: 5, id }), {
+    $or: [
+      { amount: { $lt: 5 } },
+      { amount: 5, _id: { $lt: id } }
+    ]
+  });
+  assert.deepStrictEqual(afterCursor({ sortBy: 'amount', direction: 1, value: 5, id }).$or[0], {
+    amount: { $gt: 5 }
+  });
+});
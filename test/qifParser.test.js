@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseQIF } = require('../utils/qifParser');
+
+const QIF = `!Account
+NCurrent account
+TBank
+^
+!Type:Bank
+D01/15/2024
+T-42.10
+PTesco
+MWeekly shop
+LGroceries:Food
+^
+D01/31/2024
+T2,000.00
+PACME Ltd
+LSalary
+^
+D01/20/2024
+T-100.00
+PTo savings
+L[Savings]
+^
+D13/45/2024
+T-5.00
+^
+`;
+
+test('parseQIF reads each record of an account section', () => {
+  const [statement] = parseQIF(QIF, { currency: 'GBP' });
+
+  assert.strictEqual(statement.account, 'Current account');
+  assert.strictEqual(statement.accountType, 'bank');
+  assert.deepStrictEqual(statement.entries[0], {
+    row: 1,
+    data: {
+      title: 'Tesco',
+      amount: 42.1,
+      type: 'expense',
+      date: new Date('2024-01-15T00:00:00.000Z'),
+      categoryName: 'Groceries',
+      description: 'Weekly shop',
+      externalId: statement.entries[0].data.externalId,
+      importAccount: 'Current account',
+      currency: 'GBP'
+    }
+  });
+  assert.match(statement.entries[0].data.externalId, /^qif:[0-9a-f]{40}$/);
+  assert.strictEqual(statement.entries[1].data.amount, 2000);
+  assert.strictEqual(statement.entries[1].data.type, 'income');
+});
+
+test('parseQIF leaves transfers uncategorized and reports bad records', () => {
+  const [statement] = parseQIF(QIF);
+
+  assert.strictEqual(statement.entries[2].data.categoryName, undefined);
+  assert.deepStrictEqual(statement.entries[3], { row: 4, error: 'Invalid date "13/45/2024" on line 22' });
+});
+
+test('parseQIF derives the same ids for the same file', () => {
+  const ids = parseQIF(QIF)[0].entries.slice(0, 3).map(entry => entry.data.externalId);
+  assert.deepStrictEqual(parseQIF(QIF)[0].entries.slice(0, 3).map(entry => entry.data.externalId), ids);
+  assert.strictEqual(new Set(ids).size, 3);
+});
+
+test('parseQIF skips list sections and rejects unsupported account types', () => {
+  const lists = '!Type:Cat\nNGroceries\nE\n^\n!Type:Bank\nD2024-02-01\nT-1\nPBus\n^\n';
+  assert.deepStrictEqual(parseQIF(lists).map(item => item.accountType), ['bank']);
+
+  const [invest] = parseQIF('!Type:Invst\nD2024-02-01\nT-1\n^\n');
+  assert.deepStrictEqual(invest.entries, [{ row: 1, error: 'Unsupported QIF account type "invst"' }]);
+
+  assert.throws(() => parseQIF('!Type:Cat\nNGroceries\n^\n'), {
+    statusCode: 400,
+    message: 'No transactions found in QIF file'
+  });
+});
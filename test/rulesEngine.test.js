@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyRules, categorize } = require('../utils/rulesEngine');
+
+const groceries = { _id: 'c-groceries', name: 'Groceries', type: 'expense' };
+const salary = { _id: 'c-salary', name: 'Salary', type: 'income' };
+
+// A rule as loadRules returns it, with its category populated
+const rule = (id, conditions, actions = {}, stopProcessing = false) => ({
+  _id: id,
+  conditions,
+  actions: { addTags: [], ...actions },
+  stopProcessing
+});
+
+test('applyRules returns null when no rule matches', () => {
+  const rules = [rule('r1', { title: { operator: 'contains', value: 'tesco' } }, { category: groceries })];
+  assert.strictEqual(applyRules(rules, { title: 'Shell', type: 'expense', amount: 40 }), null);
+});
+
+test('applyRules matches title patterns ignoring case', () => {
+  const transaction = { title: 'TESCO Stores 1234', type: 'expense', amount: 12 };
+  const matching = [
+    { operator: 'contains', value: 'stores' },
+    { operator: 'startsWith', value: 'tesco' },
+    { operator: 'endsWith', value: '1234' },
+    { operator: 'equals', value: ' tesco stores 1234 ' }
+  ];
+
+  matching.forEach(title => {
+    assert.ok(applyRules([rule('r1', { title })], transaction), title.operator);
+  });
+  assert.strictEqual(applyRules([rule('r1', { title: { operator: 'equals', value: 'tesco' } })], transaction), null);
+});
+
+test('applyRules checks type and amount bounds', () => {
+  const rules = [rule('r1', { type: 'expense', minAmount: 10, maxAmount: 50 })];
+
+  assert.ok(applyRules(rules, { title: 'x', type: 'expense', amount: 10 }));
+  assert.ok(applyRules(rules, { title: 'x', type: 'expense', amount: 50 }));
+  assert.strictEqual(applyRules(rules, { title: 'x', type: 'expense', amount: 51 }), null);
+  assert.strictEqual(applyRules(rules, { title: 'x', type: 'income', amount: 20 }), null);
+});
+
+test('applyRules takes the first category of the right type and title, and every tag', () => {
+  const rules = [
+    rule('r1', {}, { category: salary, addTags: ['shop'] }),
+    rule('r2', {}, { category: groceries, setTitle: 'Tesco', addTags: ['food', 'shop'] }),
+    rule('r3', {}, { setTitle: 'Ignored', addTags: ['weekly'] })
+  ];
+
+  assert.deepStrictEqual(applyRules(rules, { title: 'TESCO 1', type: 'expense', amount: 5 }), {
+    category: groceries,
+    title: 'Tesco',
+    tags: ['shop', 'food', 'weekly'],
+    rules: ['r1', 'r2', 'r3']
+  });
+});
+
+test('applyRules stops after a matching rule that stops processing', () => {
+  const rules = [
+    rule('r1', { title: { operator: 'contains', value: 'rent' } }, { addTags: ['home'] }, true),
+    rule('r2', {}, { addTags: ['other'] })
+  ];
+
+  assert.deepStrictEqual(applyRules(rules, { title: 'Rent May', type: 'expense', amount: 900 }).tags, ['home']);
+  assert.deepStrictEqual(applyRules(rules, { title: 'Gym', type: 'expense', amount: 30 }).tags, ['other']);
+});
+
+test('categorize fills in new transaction data from the rules', () => {
+  const data = { title: 'TESCO 1', type: 'expense', amount: 5, tags: ['cash'] };
+  const rules = [rule('r1', {}, { category: groceries, setTitle: 'Tesco', addTags: ['food', 'cash'] })];
+
+  assert.deepStrictEqual(categorize(rules, data), ['r1']);
+  assert.deepStrictEqual(data, {
+    title: 'Tesco',
+    type: 'expense',
+    amount: 5,
+    tags: ['cash', 'food'],
+    category: 'c-groceries'
+  });
+  assert.deepStrictEqual(categorize([], { title: 'x' }), []);
+});
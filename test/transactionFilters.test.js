@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseFilterParams } = require('../utils/transactionFilters');
+
+// The 400 error parseFilterParams raises, with its list of messages
+const filterErrors = (query) => {
+  try {
+    parseFilterParams(query);
+  } catch (error) {
+    assert.strictEqual(error.statusCode, 400);
+    return error.errors;
+  }
+  assert.fail('Expected an invalid filter error');
+};
+
+test('parseFilterParams leaves out unset and empty parameters', () => {
+  assert.deepStrictEqual(parseFilterParams({}), {});
+  assert.deepStrictEqual(parseFilterParams({ type: '', minAmount: '', search: '' }), {});
+});
+
+test('parseFilterParams reads lists from commas, repeats and arrays without duplicates', () => {
+  assert.deepStrictEqual(parseFilterParams({ type: 'income, expense' }).type, ['income', 'expense']);
+  assert.deepStrictEqual(parseFilterParams({ tags: ['food', 'travel,food'] }).tags, ['food', 'travel']);
+  assert.deepStrictEqual(parseFilterParams({ status: ['pending'] }).status, ['pending']);
+});
+
+test('parseFilterParams rejects unknown list values and operator objects', () => {
+  assert.deepStrictEqual(filterErrors({ type: 'gift' }), ['type must be one or more of income, expense, transfer']);
+  assert.deepStrictEqual(filterErrors({ category: 'not-an-id' }), ['category must be one or more valid category IDs']);
+  assert.strictEqual(filterErrors({ tags: { $ne: 'x' } }).length, 1);
+  assert.strictEqual(filterErrors({ minAmount: { $gt: 0 } }).length, 1);
+});
+
+test('parseFilterParams parses amounts, dates and flags', () => {
+  const params = parseFilterParams({
+    minAmount: '10',
+    maxAmount: 20.5,
+    startDate: '2024-01-01',
+    hasAttachments: 'true',
+    recurring: false,
+    tagMatch: 'all'
+  });
+
+  assert.strictEqual(params.minAmount, 10);
+  assert.strictEqual(params.maxAmount, 20.5);
+  assert.strictEqual(params.startDate.toISOString(), '2024-01-01T00:00:00.000Z');
+  assert.strictEqual(params.hasAttachments, true);
+  assert.strictEqual(params.recurring, false);
+  assert.strictEqual(params.tagMatch, 'all');
+});
+
+test('parseFilterParams reports every invalid parameter at once', () => {
+  assert.deepStrictEqual(filterErrors({ minAmount: '-1', startDate: 'soon', recurring: 'yes' }), [
+    'minAmount must be a non-negative number',
+    'startDate must be a valid date',
+    'recurring must be true or false'
+  ]);
+  assert.deepStrictEqual(filterErrors({ minAmount: '20', maxAmount: '10' }), [
+    'minAmount cannot be greater than maxAmount'
+  ]);
+});
+
+test('parseFilterParams checks location filters', () => {
+  const params = parseFilterParams({ near: '-0.12,51.5', radius: '500' });
+  assert.deepStrictEqual(params.near, [-0.12, 51.5]);
+  assert.strictEqual(params.radius, 500);
+
+  assert.deepStrictEqual(filterErrors({ radius: '500' }), ['radius needs near']);
+  assert.deepStrictEqual(filterErrors({ near: '200,10' }), ['near must be "longitude,latitude"']);
+  assert.deepStrictEqual(filterErrors({ bbox: '10,10,0,0' }), [
+    'bbox must be "minLongitude,minLatitude,maxLongitude,maxLatitude"'
+  ]);
+  assert.deepStrictEqual(parseFilterParams({ bbox: '0,0,10,10' }).bbox, [0, 0, 10, 10]);
+});
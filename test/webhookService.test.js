@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { signPayload, generateSecret } = require('../utils/webhookService');
+
+test('signPayload is the HMAC-SHA256 of the timestamp and body', () => {
+  const body = JSON.stringify({ id: 'evt_1', event: 'transaction.created' });
+  const expected = crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+
+  assert.strictEqual(signPayload('secret', 1700000000, body), expected);
+});
+
+test('signPayload changes with the secret, timestamp or body', () => {
+  const signature = signPayload('secret', 1700000000, '{}');
+
+  assert.notStrictEqual(signPayload('other', 1700000000, '{}'), signature);
+  assert.notStrictEqual(signPayload('secret', 1700000001, '{}'), signature);
+  assert.notStrictEqual(signPayload('secret', 1700000000, '{ }'), signature);
+});
+
+test('generateSecret returns a new random hex secret each time', () => {
+  const secret = generateSecret();
+
+  assert.match(secret, /^[0-9a-f]{48}$/);
+  assert.notStrictEqual(generateSecret(), secret);
+});
@@ -0,0 +1,253 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const AuditLog = require('../models/AuditLog');
+
+// Holds the current request so model hooks can tell who made a change
+const auditStorage = new AsyncLocalStorage();
+
+// Tracked fields of each audited model, registered by auditPlugin
+const trackedModels = new Map();
+
+// Queries waiting for their post hook, with the documents they matched
+const pendingQueries = new WeakMap();
+
+// Functions told about every recorded change, registered with onChange
+const changeListeners = [];
+
+// Express middleware: run the rest of the request inside an audit context
+const auditContext = (req, res, next) => {
+  auditStorage.run({ req }, next);
+};
+
+// Call `listener` with the entries of every change recorded from now on
+// (before they are saved, so it hears of changes even if saving fails)
+const onChange = (listener) => {
+  changeListeners.push(listener);
+};
+
+// Past tense of each action for event names; reverts are updates and
+// purges deletes
+const EVENT_ACTIONS = {
+  create: 'created',
+  update: 'updated',
+  revert: 'updated',
+  delete: 'deleted',
+  purge: 'deleted',
+  restore: 'restored'
+};
+
+// Name of the event for a change entry, e.g. `transaction.updated`
+const changeEventName = (entry) => `${entry.entityType.toLowerCase()}.${EVENT_ACTIONS[entry.action]}`;
+
+const notifyListeners = (entries) => {
+  changeListeners.forEach(listener => {
+    try {
+      listener(entries);
+    } catch (error) {
+      console.error('Audit change listener error:', error);
+    }
+  });
+};
+
+// Run `fn` with extra details recorded on its changes (e.g. `revertedTo`)
+const withAuditDetails = (details, fn) =>
+  auditStorage.run({ ...auditStorage.getStore(), ...details }, fn);
+
+const currentContext = () => {
+  const store = auditStorage.getStore() || {};
+  const { req } = store;
+
+  return {
+    actor: req && req.user ? req.user._id : undefined,
+    ip: req ? req.ip : undefined,
+    userAgent: req ? req.get('user-agent') : undefined,
+    revertedTo: store.revertedTo
+  };
+};
+
+// JSON with sorted keys, so equal values always compare equal
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const toPlain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// Copy the tracked fields of a document or lean object into plain JSON
+const snapshotOf = (doc, { fields, ignore }) => {
+  if (!doc) return null;
+
+  const source = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  const snapshot = {};
+  fields.forEach(field => {
+    snapshot[field] = toPlain(source[field]);
+  });
+
+  // Bookkeeping paths such as recurringPattern.nextDueDate are not history
+  ignore.forEach(path => {
+    const [field, key] = path.split('.');
+    if (snapshot[field] && typeof snapshot[field] === 'object') {
+      delete snapshot[field][key];
+    }
+  });
+
+  return snapshot;
+};
+
+const diffSnapshots = (before, after, fields) => fields.reduce((changes, field) => {
+  const from = before ? before[field] : null;
+  const to = after ? after[field] : null;
+  if (stableStringify(from) !== stableStringify(to)) {
+    changes.push({ field, before: from, after: to });
+  }
+  return changes;
+}, []);
+
+const actionFor = (before, after, context) => {
+  if (!before) return 'create';
+  if (!after) return 'purge';
+  if (context.revertedTo) return 'revert';
+  if ('deletedAt' in after && !before.deletedAt !== !after.deletedAt) {
+    return after.deletedAt ? 'delete' : 'restore';
+  }
+  if ('isActive' in after && before.isActive !== after.isActive) {
+    return after.isActive ? 'restore' : 'delete';
+  }
+  return 'update';
+};
+
+// Record one audit entry per changed record. `pairs` are { before, after }
+// documents or lean objects; `before` is null for creates and `after` is
+// null for permanent deletes.
+const recordChanges = async (entityType, pairs) => {
+  const options = trackedModels.get(entityType);
+  const context = currentContext();
+
+  let entries = pairs.reduce((list, { before, after }) => {
+    const beforeSnapshot = snapshotOf(before, options);
+    const afterSnapshot = snapshotOf(after, options);
+    const changes = diffSnapshots(beforeSnapshot, afterSnapshot, options.fields);
+    if (changes.length === 0) return list;
+
+    const record = after || before;
+    const action = actionFor(beforeSnapshot, afterSnapshot, context);
+    list.push({
+      user: record.user && (record.user._id || record.user),
+      actor: context.actor,
+      entityType,
+      entityId: record._id,
+      action,
+      changes,
+      snapshot: afterSnapshot || beforeSnapshot,
+      revertedTo: action === 'revert' ? context.revertedTo : undefined,
+      ip: context.ip,
+      userAgent: context.userAgent
+    });
+    return list;
+  }, []);
+
+  if (entries.length > 0) notifyListeners(entries);
+
+  // Versions are numbered per record; retry entries that lost a race
+  for (let attempt = 0; attempt < 3 && entries.length > 0; attempt++) {
+    const latest = await AuditLog.aggregate([
+      { $match: { entityType, entityId: { $in: entries.map(entry => entry.entityId) } } },
+      { $group: { _id: '$entityId', version: { $max: '$version' } } }
+    ]);
+    const versions = new Map(latest.map(item => [String(item._id), item.version]));
+    entries.forEach(entry => {
+      entry.version = (versions.get(String(entry.entityId)) || 0) + 1;
+    });
+
+    try {
+      await AuditLog.insertMany(entries, { ordered: false });
+      return;
+    } catch (error) {
+      const failures = error.writeErrors ||
+        (error.code === 11000 && entries.length === 1 ? [{ index: 0, code: 11000 }] : null);
+      if (!failures || failures.some(failure => failure.code !== 11000)) throw error;
+      entries = failures.map(failure => entries[failure.index]);
+    }
+  }
+};
+
+// Auditing must never fail the change it describes
+const recordSafely = async (entityType, pairs) => {
+  try {
+    await recordChanges(entityType, pairs);
+  } catch (error) {
+    console.error('Audit trail error:', error);
+  }
+};
+
+// Mongoose plugin recording creates, updates and deletes of a model made
+// through save, updateOne/updateMany, findOneAndUpdate and the delete
+// queries. insertMany callers record their own creates with recordChanges.
+const auditPlugin = (schema, { entityType, fields, ignore = [] }) => {
+  trackedModels.set(entityType, { fields, ignore });
+
+  // Trashed records are included when looking up the state around a change
+  const readOptions = schema.path('deletedAt') ? { withDeleted: true } : {};
+  const queryHook = { document: false, query: true };
+
+  schema.pre('save', async function() {
+    this.$locals.auditBefore = this.isNew
+      ? null
+      : await this.constructor.findById(this._id).setOptions(readOptions).lean();
+  });
+
+  schema.post('save', async function(doc) {
+    await recordSafely(entityType, [{ before: doc.$locals.auditBefore, after: doc }]);
+  });
+
+  const captureBefore = async function() {
+    const query = this.model.find(this.getFilter()).setOptions(readOptions).lean();
+    if (this.op === 'updateOne' || this.op === 'findOneAndUpdate' ||
+        this.op === 'deleteOne' || this.op === 'findOneAndDelete') {
+      query.limit(1);
+    }
+    pendingQueries.set(this, await query);
+  };
+
+  schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], queryHook, captureBefore);
+  schema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], queryHook, captureBefore);
+
+  schema.post(['updateOne', 'updateMany', 'findOneAndUpdate'], queryHook, async function(result) {
+    const befores = pendingQueries.get(this) || [];
+    pendingQueries.delete(this);
+
+    const ids = befores.map(doc => doc._id);
+    if (result && result.upsertedId) ids.push(result.upsertedId);
+    if (this.op === 'findOneAndUpdate' && result && result._id && befores.length === 0) ids.push(result._id);
+    if (ids.length === 0) return;
+
+    const afters = await this.model.find({ _id: { $in: ids } }).setOptions(readOptions).lean();
+    const beforeById = new Map(befores.map(doc => [String(doc._id), doc]));
+    await recordSafely(entityType, afters.map(after => ({
+      before: beforeById.get(String(after._id)) || null,
+      after
+    })));
+  });
+
+  schema.post(['deleteOne', 'deleteMany', 'findOneAndDelete'], queryHook, async function() {
+    const befores = pendingQueries.get(this) || [];
+    pendingQueries.delete(this);
+
+    if (befores.length > 0) {
+      await recordSafely(entityType, befores.map(before => ({ before, after: null })));
+    }
+  });
+};
+
+module.exports = {
+  auditContext,
+  withAuditDetails,
+  onChange,
+  changeEventName,
+  auditPlugin,
+  recordChanges: recordSafely
+};
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const BudgetAlert = require('../models/BudgetAlert');
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Completed expenses in a category during a month (YYYY-MM, UTC), in the
+// user's currency. Split transactions count only their lines in it.
+const getMonthSpending = async (userId, categoryId, month, currency) => {
+  const start = new Date(`${month}-01T00:00:00.000Z`);
+  const end = new Date(start);
+  end.setUTCMonth(end.getUTCMonth() + 1);
+  const category = toObjectId(categoryId);
+  const lines = { $filter: { input: '$splits', cond: { $eq: ['$$this.category', category] } } };
+  const hasSplits = { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] };
+
+  const [result] = await Transaction.aggregate([
+    {
+      $match: {
+        user: toObjectId(userId),
+        type: 'expense',
+        status: 'completed',
+        date: { $gte: start, $lt: end },
+        $or: [{ category }, { 'splits.category': category }]
+      }
+    },
+    ...Transaction.currencyStages(currency),
+    {
+      $project: {
+        spent: {
+          $cond: [
+            hasSplits,
+            { $multiply: [{ $sum: { $map: { input: lines, in: '$$this.amount' } } }, '$baseRate'] },
+            '$baseAmount'
+          ]
+        }
+      }
+    },
+    { $group: { _id: null, spent: { $sum: '$spent' } } }
+  ]);
+
+  return result ? Math.round(result.spent * 100) / 100 : 0;
+};
+
+// Budgets that `entries` (recorded changes of one user) pushed over their
+// limit: expenses added to a month, or a budget changed for the current one.
+// Each category and month is reported once: the first caller to record
+// the alert gets it, later changes and other processes do not.
+const findExceededBudgets = async (userId, entries) => {
+  const checks = new Map();
+  const check = (category, month) => {
+    if (category) checks.set(`${category}:${month}`, { category, month });
+  };
+
+  entries.forEach(entry => {
+    const { snapshot } = entry;
+    if (entry.entityType === 'Category') {
+      if (entry.changes.some(change => change.field === 'monthlyBudget')) {
+        check(entry.entityId, new Date().toISOString().slice(0, 7));
+      }
+      return;
+    }
+    if (entry.entityType !== 'Transaction' || ['delete', 'purge'].includes(entry.action) ||
+        snapshot.type !== 'expense' || snapshot.status !== 'completed' || snapshot.deletedAt) {
+      return;
+    }
+
+    const month = String(snapshot.date).slice(0, 7);
+    const categories = (snapshot.splits || []).length > 0
+      ? snapshot.splits.map(split => split.category)
+      : [snapshot.category];
+    categories.forEach(category => check(category, month));
+  });
+  if (checks.size === 0) return [];
+
+  const budgeted = new Map((await Category.find({
+    _id: { $in: [...checks.values()].map(check => toObjectId(check.category)) },
+    user: userId,
+    isActive: true,
+    monthlyBudget: { $ne: null }
+  }, 'name monthlyBudget')).map(category => [String(category._id), category]));
+  if (budgeted.size === 0) return [];
+
+  const user = await User.findById(userId, 'currency');
+  const currency = (user && user.currency) || 'USD';
+  const alerts = [];
+
+  for (const { category: categoryId, month } of checks.values()) {
+    const category = budgeted.get(String(categoryId));
+    if (!category) continue;
+
+    const spent = await getMonthSpending(userId, category._id, month, currency);
+    if (spent <= category.monthlyBudget) continue;
+
+    try {
+      await BudgetAlert.create({ user: userId, category: category._id, month, budget: category.monthlyBudget, spent });
+    } catch (error) {
+      if (error.code === 11000) continue;
+      throw error;
+    }
+
+    alerts.push({
+      category: { _id: category._id, name: category.name },
+      month,
+      budget: category.monthlyBudget,
+      spent,
+      currency
+    });
+  }
+
+  return alerts;
+};
+
+module.exports = {
+  getMonthSpending,
+  findExceededBudgets
+};
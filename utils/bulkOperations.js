@@ -0,0 +1,118 @@
+const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+
+const BULK_ACTIONS = ['recategorize', 'addTags', 'removeTags', 'setStatus', 'shiftDates', 'delete'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Raise an error that the bulk route reports as a 400
+const bulkError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Describe an action as the subset of matched documents it would change and
+// the update to apply to them
+const buildOperation = async (action, params, filter, userId) => {
+  switch (action) {
+    case 'recategorize': {
+      const category = await Category.findOne({
+        _id: params.category,
+        user: userId,
+        isActive: true
+      });
+
+      if (!category) {
+        throw bulkError('Invalid category');
+      }
+
+      // Same rule as the single routes: transaction type must match category type
+      const mismatched = await Transaction.countDocuments({ $and: [filter, { type: { $ne: category.type } }] });
+      if (mismatched > 0) {
+        throw bulkError(`${mismatched} selected transaction(s) do not match the ${category.type} category type`);
+      }
+
+      // Recategorizing a split transaction replaces its split lines
+      return {
+        changeFilter: { $or: [{ category: { $ne: category._id } }, { 'splits.0': { $exists: true } }] },
+        update: { $set: { category: category._id, splits: [] } }
+      };
+    }
+
+    case 'addTags':
+      return {
+        changeFilter: { tags: { $not: { $all: params.tags } } },
+        update: { $addToSet: { tags: { $each: params.tags } } }
+      };
+
+    case 'removeTags':
+      return {
+        changeFilter: { tags: { $in: params.tags } },
+        update: { $pullAll: { tags: params.tags } }
+      };
+
+    // Status, dates and trash state are locked once reconciled, so
+    // reconciled transactions are skipped
+    case 'setStatus':
+      return {
+        changeFilter: { status: { $ne: params.status }, reconciledAt: null },
+        update: { $set: { status: params.status, completeOnDate: false } }
+      };
+
+    // As with a single edit, a completed transaction moved into the future
+    // waits for its date and one moved back from it is completed; a status
+    // set by hand stays as set
+    case 'shiftDates': {
+      const now = new Date();
+      const followsDate = { $or: [{ $eq: ['$status', 'completed'] }, { $eq: ['$completeOnDate', true] }] };
+      const future = { $gt: ['$date', now] };
+
+      return {
+        changeFilter: { reconciledAt: null },
+        update: [
+          { $set: { date: { $add: ['$date', params.days * DAY_MS] } } },
+          {
+            $set: {
+              status: { $cond: [followsDate, { $cond: [future, 'pending', 'completed'] }, '$status'] },
+              completeOnDate: { $cond: [followsDate, future, '$completeOnDate'] }
+            }
+          }
+        ]
+      };
+    }
+
+    // Deleting moves transactions to the trash
+    case 'delete':
+      return {
+        changeFilter: { reconciledAt: null },
+        update: { $set: { deletedAt: new Date() } }
+      };
+
+    default:
+      throw bulkError(`Action must be one of ${BULK_ACTIONS.join(', ')}`);
+  }
+};
+
+// Run a bulk action against every transaction matching `filter`. With
+// `dryRun` nothing is written and only the counts are reported.
+const runBulkOperation = async ({ action, params, filter, userId, dryRun }) => {
+  const operation = await buildOperation(action, params, filter, userId);
+  const changeFilter = { $and: [filter, operation.changeFilter] };
+
+  const [matched, wouldChange] = await Promise.all([
+    Transaction.countDocuments(filter),
+    Transaction.countDocuments(changeFilter)
+  ]);
+
+  if (dryRun) {
+    return { action, dryRun: true, matched, modified: wouldChange };
+  }
+
+  const result = await Transaction.updateMany(changeFilter, operation.update, { runValidators: true });
+  return { action, dryRun: false, matched, modified: result.modifiedCount };
+};
+
+module.exports = {
+  BULK_ACTIONS,
+  runBulkOperation
+};
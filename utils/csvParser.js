@@ -0,0 +1,76 @@
+// Guess the delimiter from the first line of the file
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const candidates = [',', ';', '\t', '|'];
+  let best = ',';
+  let bestCount = 0;
+
+  candidates.forEach(candidate => {
+    const count = firstLine.split(candidate).length - 1;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  });
+
+  return best;
+};
+
+// Parse RFC 4180 CSV text into an array of rows (arrays of strings).
+// Handles quoted fields, escaped quotes and newlines inside quotes.
+const parseCSV = (input, { delimiter } = {}) => {
+  const text = input.replace(/^\uFEFF/, '');
+  const sep = delimiter || detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field.length === 0) {
+      inQuotes = true;
+    } else if (char === sep) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows
+    .map(cells => cells.map(cell => cell.trim()))
+    .filter(cells => cells.some(cell => cell !== ''));
+};
+
+module.exports = {
+  detectDelimiter,
+  parseCSV
+};
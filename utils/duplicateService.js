@@ -0,0 +1,246 @@
+const Transaction = require('../models/Transaction');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days apart two entries can be and still count as the same transaction
+const DEFAULT_WINDOW_DAYS = 3;
+const MAX_WINDOW_DAYS = 30;
+
+// Title similarity (0 to 1) above which two titles are taken to match
+const TITLE_SIMILARITY = 0.6;
+
+// Most transactions a single duplicate scan will look at
+const MAX_SCAN_TRANSACTIONS = 20000;
+
+const DUPLICATE_FIELDS = 'title description amount type date category tags notes attachments location ' +
+  'splits account currency isRecurring dismissedDuplicates createdAt';
+
+const getWindowDays = (days) => {
+  const parsed = parseInt(days);
+  return isNaN(parsed) ? DEFAULT_WINDOW_DAYS : Math.min(Math.max(parsed, 0), MAX_WINDOW_DAYS);
+};
+
+const normalizeTitle = (title) =>
+  String(title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+
+const bigrams = (text) => {
+  const pairs = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const pair = text.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  return pairs;
+};
+
+// Dice coefficient of the titles' letter pairs, ignoring case, spaces and
+// punctuation, so "UBER *TRIP" and "Uber trip" score 1
+const titleSimilarity = (a, b) => {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  let shared = 0;
+  leftPairs.forEach((count, pair) => {
+    shared += Math.min(count, rightPairs.get(pair) || 0);
+  });
+
+  return (2 * shared) / (left.length - 1 + right.length - 1);
+};
+
+const sameAmount = (a, b) => Math.round(a * 100) === Math.round(b * 100);
+
+const isDismissed = (a, b) =>
+  (a.dismissedDuplicates || []).some(id => String(id) === String(b._id)) ||
+  (b.dismissedDuplicates || []).some(id => String(id) === String(a._id));
+
+// Two transactions are likely the same when type and amount match, their
+// dates are within the window and their titles are similar
+const isLikelyDuplicate = (a, b, windowDays) =>
+  a.type === b.type &&
+  sameAmount(a.amount, b.amount) &&
+  Math.abs(new Date(a.date) - new Date(b.date)) <= windowDays * DAY_MS &&
+  titleSimilarity(a.title, b.title) >= TITLE_SIMILARITY &&
+  !isDismissed(a, b);
+
+// How much information a record holds; the richest record survives a merge
+const richness = (transaction) =>
+  (transaction.tags || []).length +
+  (transaction.notes ? 2 : 0) +
+  (transaction.description ? 1 : 0) +
+  (transaction.attachments || []).length * 2 +
+  (transaction.location && transaction.location.name ? 1 : 0) +
+  (transaction.splits || []).length +
+  (transaction.account ? 1 : 0) +
+  (transaction.isRecurring ? 5 : 0);
+
+// The record to keep: the richest, then the one entered first
+const pickRichest = (transactions) => [...transactions].sort((a, b) =>
+  richness(b) - richness(a) || new Date(a.createdAt) - new Date(b.createdAt))[0];
+
+// Split `transactions`, sorted by type, amount and date, into groups of
+// likely duplicates; transactions matching no other are left out
+const groupDuplicates = (transactions, windowDays) => {
+  // Union-find over matching pairs, so A~B and B~C form one group
+  const parent = transactions.map((transaction, index) => index);
+  const root = (index) => (parent[index] === index ? index : (parent[index] = root(parent[index])));
+
+  // Only transactions of the same type and amount are compared, and the
+  // sort puts those next to each other in date order
+  let start = 0;
+  for (let i = 1; i <= transactions.length; i++) {
+    const current = transactions[i];
+    const first = transactions[start];
+    if (current && current.type === first.type && sameAmount(current.amount, first.amount)) continue;
+
+    for (let a = start; a < i; a++) {
+      for (let b = a + 1; b < i; b++) {
+        if (new Date(transactions[b].date) - new Date(transactions[a].date) > windowDays * DAY_MS) break;
+        if (isLikelyDuplicate(transactions[a], transactions[b], windowDays)) {
+          parent[root(b)] = root(a);
+        }
+      }
+    }
+    start = i;
+  }
+
+  const groups = new Map();
+  transactions.forEach((transaction, index) => {
+    const key = root(index);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(transaction);
+  });
+
+  return [...groups.values()].filter(group => group.length > 1);
+};
+
+// Find groups of likely duplicates among the transactions matching `filter`
+const findDuplicateGroups = async (filter, days) => {
+  const windowDays = getWindowDays(days);
+
+  const transactions = await Transaction.find(filter, DUPLICATE_FIELDS)
+    .populate('category', 'name icon color type')
+    .sort({ type: 1, amount: 1, date: 1 })
+    .limit(MAX_SCAN_TRANSACTIONS)
+    .lean();
+
+  return {
+    windowDays,
+    scanned: transactions.length,
+    groups: groupDuplicates(transactions, windowDays)
+      .map(group => ({
+        ids: group.map(transaction => transaction._id),
+        suggestedKeep: pickRichest(group)._id,
+        transactions: group.map(({ dismissedDuplicates, ...transaction }) => transaction)
+      }))
+      .sort((a, b) => new Date(b.transactions[0].date) - new Date(a.transactions[0].date))
+  };
+};
+
+// Likely duplicates of new transaction data, checked before it is saved
+const findDuplicatesOf = async (userId, data, days) => {
+  const windowDays = getWindowDays(days);
+  const date = data.date ? new Date(data.date) : new Date();
+
+  const candidates = await Transaction.find({
+    user: userId,
+    type: data.type,
+    amount: { $gte: data.amount - 0.005, $lte: data.amount + 0.005 },
+    date: {
+      $gte: new Date(date.getTime() - windowDays * DAY_MS),
+      $lte: new Date(date.getTime() + windowDays * DAY_MS)
+    }
+  }, DUPLICATE_FIELDS).populate('category', 'name icon color type').lean();
+
+  return candidates
+    .filter(candidate => isLikelyDuplicate(candidate, { ...data, date, _id: null }, windowDays))
+    .map(({ dismissedDuplicates, ...candidate }) => candidate);
+};
+
+// Load a group of the user's transactions named by `ids`, making sure they
+// can be treated as one transaction
+const loadGroup = async (userId, ids) => {
+  const transactions = await Transaction.find({ _id: { $in: ids }, user: userId });
+
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  };
+
+  if (transactions.length !== new Set(ids.map(String)).size) {
+    throw fail('Some transactions were not found');
+  }
+  if (transactions.length < 2) {
+    throw fail('A duplicate group needs at least two transactions');
+  }
+  if (transactions.some(t => t.type !== transactions[0].type || !sameAmount(t.amount, transactions[0].amount))) {
+    throw fail('Duplicates must have the same type and amount');
+  }
+
+  return transactions;
+};
+
+// Merge a duplicate group into one transaction. The kept record (`keepId`,
+// or the richest one) gains the others' tags and attachments, and their
+// notes and description when it has none; the others go to the trash.
+const mergeDuplicates = async (userId, ids, keepId) => {
+  const transactions = await loadGroup(userId, ids);
+
+  const keep = keepId
+    ? transactions.find(transaction => String(transaction._id) === String(keepId))
+    : pickRichest(transactions);
+  if (!keep) {
+    const error = new Error('The transaction to keep must be one of the group');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const others = transactions.filter(transaction => transaction !== keep);
+  if (others.some(other => other.reconciledAt)) {
+    const error = new Error('A reconciled transaction cannot be merged away; keep it instead');
+    error.statusCode = 400;
+    throw error;
+  }
+  others.forEach(other => {
+    keep.tags = [...new Set([...keep.tags, ...other.tags])];
+    if (!keep.notes && other.notes) keep.notes = other.notes;
+    if (!keep.description && other.description) keep.description = other.description;
+    other.attachments.forEach(attachment => keep.attachments.push(attachment.toObject()));
+  });
+  await keep.save();
+
+  // Attachments now belong to the kept record, so purging the trashed
+  // duplicates must not remove their files
+  await Transaction.updateMany(
+    { _id: { $in: others.map(other => other._id) }, user: userId },
+    { $set: { deletedAt: new Date(), attachments: [] } }
+  );
+
+  return { kept: keep, trashed: others.map(other => other._id) };
+};
+
+// Mark every pair in a group as not duplicates, so it is not flagged again
+const dismissDuplicates = async (userId, ids) => {
+  const transactions = await loadGroup(userId, ids);
+  const groupIds = transactions.map(transaction => transaction._id);
+
+  await Promise.all(transactions.map(transaction => Transaction.updateOne(
+    { _id: transaction._id, user: userId },
+    { $addToSet: { dismissedDuplicates: { $each: groupIds.filter(id => !id.equals(transaction._id)) } } }
+  )));
+
+  return groupIds.length;
+};
+
+module.exports = {
+  DEFAULT_WINDOW_DAYS,
+  titleSimilarity,
+  groupDuplicates,
+  findDuplicateGroups,
+  findDuplicatesOf,
+  mergeDuplicates,
+  dismissDuplicates
+};
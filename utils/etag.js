@@ -0,0 +1,38 @@
+// Version tags for optimistic concurrency. A record's tag changes whenever it
+// is saved or updated (its updatedAt moves), so a client that sends the tag
+// it last read in If-Match only changes the version it has seen.
+
+const getETag = (doc) => `"${doc._id}-${new Date(doc.updatedAt).getTime().toString(36)}"`;
+
+const setETag = (res, doc) => res.set('ETag', getETag(doc));
+
+// Whether the request's If-Match header allows changing `doc`. No header
+// or `*` always matches; weak tags compare by value.
+const matchesIfMatch = (req, doc) => {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return true;
+
+  const current = getETag(doc);
+  return header.split(',').some(tag => tag.trim().replace(/^W\//, '') === current);
+};
+
+// Answer a failed If-Match (or a change that raced this one) with the
+// current version of the record
+const sendPreconditionFailed = (res, name, doc) => {
+  setETag(res, doc);
+  return res.status(412).json({
+    success: false,
+    message: `This ${name} was changed since you loaded it; review the current version and try again`,
+    data: {
+      [name]: doc,
+      etag: getETag(doc)
+    }
+  });
+};
+
+module.exports = {
+  getETag,
+  setETag,
+  matchesIfMatch,
+  sendPreconditionFailed
+};
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const ExchangeRate = require('../models/ExchangeRate');
+const { parseCSV } = require('./csvParser');
+
+const { RATE_BASE } = ExchangeRate;
+
+// Raise an error that the rate routes report as a 400
+const rateError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const parseRateDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || '').trim());
+  if (!match) return null;
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  return isNaN(date) ? null : date;
+};
+
+// Flatten the accepted rate formats into { date, base, currency, rate } entries:
+//   { base, rates: { 'YYYY-MM-DD': { EUR: 0.92, ... } } }
+//   [{ date, currency, rate, base? }]
+const parseRateData = (data, defaultBase) => {
+  if (Array.isArray(data)) {
+    return data.map(item => ({ ...item, base: item.base || defaultBase }));
+  }
+
+  if (data && typeof data.rates === 'object') {
+    const base = data.base || defaultBase;
+    return Object.entries(data.rates).flatMap(([date, rates]) =>
+      Object.entries(rates || {}).map(([currency, rate]) => ({ date, base, currency, rate }))
+    );
+  }
+
+  throw rateError('Rates must be an array or an object with a "rates" map');
+};
+
+// CSV files have a header row with date, currency and rate columns and an
+// optional base column
+const entriesFromCSV = (text, defaultBase) => {
+  const [headers = [], ...rows] = parseCSV(text);
+  const columns = headers.map(header => header.trim().toLowerCase());
+  const index = (name) => columns.indexOf(name);
+
+  if (index('date') === -1 || index('currency') === -1 || index('rate') === -1) {
+    throw rateError('CSV rates need date, currency and rate columns');
+  }
+
+  return rows.map(cells => ({
+    date: cells[index('date')],
+    currency: cells[index('currency')],
+    rate: cells[index('rate')],
+    base: index('base') === -1 ? defaultBase : cells[index('base')]
+  }));
+};
+
+// Parse a rate file's contents by extension or, failing that, by content
+const parseRateFile = (text, filename = '', defaultBase = RATE_BASE) => {
+  const extension = path.extname(filename).toLowerCase();
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+
+  if (extension === '.json' || (extension !== '.csv' && /^[[{]/.test(trimmed))) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      throw rateError(`Invalid JSON: ${error.message}`);
+    }
+    return parseRateData(data, defaultBase);
+  }
+
+  return entriesFromCSV(trimmed, defaultBase);
+};
+
+// Validate entries and re-express them against RATE_BASE. Rates quoted in
+// another base are converted with that day's RATE_BASE rate from the same
+// batch. Returns { rates, errors }.
+const normalizeRates = (entries) => {
+  const errors = [];
+  const valid = [];
+
+  entries.forEach((entry, index) => {
+    const date = parseRateDate(entry.date);
+    const currency = String(entry.currency || '').trim().toUpperCase();
+    const base = String(entry.base || RATE_BASE).trim().toUpperCase();
+    const rate = parseFloat(entry.rate);
+
+    if (!date) return errors.push({ index, message: `Invalid date "${entry.date}"` });
+    if (!/^[A-Z]{3}$/.test(currency)) return errors.push({ index, message: `Invalid currency "${entry.currency}"` });
+    if (!/^[A-Z]{3}$/.test(base)) return errors.push({ index, message: `Invalid base currency "${entry.base}"` });
+    if (!(rate > 0)) return errors.push({ index, message: `Invalid rate "${entry.rate}"` });
+
+    valid.push({ index, date, currency, base, rate });
+  });
+
+  // Rate of RATE_BASE per day in each foreign base, used for rebasing
+  const pivots = new Map();
+  valid.forEach(entry => {
+    if (entry.base !== RATE_BASE && entry.currency === RATE_BASE) {
+      pivots.set(`${entry.base}|${entry.date.toISOString()}`, entry.rate);
+    }
+  });
+
+  const rates = new Map();
+  const add = (date, currency, rate) => {
+    if (currency !== RATE_BASE) {
+      rates.set(`${currency}|${date.toISOString()}`, { date, currency, rate });
+    }
+  };
+
+  valid.forEach(entry => {
+    if (entry.base === RATE_BASE) {
+      add(entry.date, entry.currency, entry.rate);
+      return;
+    }
+
+    const pivot = pivots.get(`${entry.base}|${entry.date.toISOString()}`);
+    if (!pivot) {
+      errors.push({
+        index: entry.index,
+        message: `No ${RATE_BASE} rate in base ${entry.base} on ${entry.date.toISOString().slice(0, 10)}`
+      });
+      return;
+    }
+
+    add(entry.date, entry.currency, entry.rate / pivot);
+    add(entry.date, entry.base, 1 / pivot);
+  });
+
+  return { rates: [...rates.values()], errors };
+};
+
+// Upsert rates keyed on (currency, date)
+const saveRates = async (rates, source = 'manual') => {
+  if (rates.length === 0) {
+    return { saved: 0 };
+  }
+
+  const result = await ExchangeRate.bulkWrite(rates.map(({ date, currency, rate }) => ({
+    updateOne: {
+      filter: { currency, date },
+      update: { $set: { rate, source } },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return { saved: result.upsertedCount + result.modifiedCount };
+};
+
+// Parse, normalize and store a batch of rates
+const importRates = async (entries, source) => {
+  const { rates, errors } = normalizeRates(entries);
+  const { saved } = await saveRates(rates, source);
+  return { received: entries.length, saved, errors };
+};
+
+// Load the rate file named by EXCHANGE_RATES_FILE (or `filePath`) at startup
+const loadRatesFromFile = async (filePath = process.env.EXCHANGE_RATES_FILE) => {
+  if (!filePath) return null;
+
+  const text = await fs.promises.readFile(filePath, 'utf8');
+  return importRates(parseRateFile(text, filePath), `file:${path.basename(filePath)}`);
+};
+
+module.exports = {
+  RATE_BASE,
+  parseRateData,
+  parseRateFile,
+  normalizeRates,
+  importRates,
+  loadRatesFromFile
+};
@@ -0,0 +1,303 @@
+const ExcelJS = require('exceljs');
+const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+
+const EXPORT_FORMATS = ['csv', 'jsonl', 'ofx', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8',
+  ofx: 'application/x-ofx; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const CSV_HEADERS = [
+  'Date', 'Title', 'Description', 'Type', 'Category', 'Amount',
+  'Formatted Amount', 'Currency', 'Tags', 'Notes', 'Status'
+];
+
+// Quote a value for CSV output when needed. Text that a spreadsheet would
+// run as a formula (=, +, -, @, tab or CR first) is prefixed with a quote;
+// plain numbers such as amounts are left as they are.
+const escapeCSV = (value) => {
+  if (value === undefined || value === null) return '';
+  let str = String(value);
+  if (/^[=+\-@\t\r]/.test(str) && !/^[-+]?\d+(\.\d+)?$/.test(str)) {
+    str = `'${str}`;
+  }
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const escapeXML = (value) => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Date and money formatters for a user's timezone and currency
+const createFormatters = (user) => {
+  const timeZone = user.timezone && isValidTimezone(user.timezone) ? user.timezone : 'UTC';
+  const dayFormat = new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+  });
+  const moneyFormats = new Map();
+
+  return {
+    timeZone,
+    // YYYY-MM-DD in the user's timezone
+    day: (date) => dayFormat.format(date),
+    money: (amount, currency = user.currency || 'USD') => {
+      if (!moneyFormats.has(currency)) {
+        moneyFormats.set(currency, new Intl.NumberFormat('en-US', { style: 'currency', currency }));
+      }
+      return moneyFormats.get(currency).format(amount);
+    }
+  };
+};
+
+// Write to the response, waiting for it to drain when its buffer is full
+const write = (res, chunk) => new Promise((resolve, reject) => {
+  if (res.write(chunk)) return resolve();
+  const onDrain = () => { res.off('close', onClose); resolve(); };
+  const onClose = () => { res.off('drain', onDrain); reject(new Error('Client closed the connection')); };
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+});
+
+// Flatten a transaction into the fields shared by every export format
+const toRow = (transaction, categories, formatters, user) => {
+  const category = categories.get(String(transaction.category));
+  const currency = transaction.currency || user.currency || 'USD';
+  const categoryName = (id) => (categories.get(String(id)) || {}).name || '';
+  const splits = (transaction.splits || []).map(split => ({
+    category: categoryName(split.category),
+    amount: split.amount,
+    note: split.note || ''
+  }));
+
+  return {
+    id: String(transaction._id),
+    date: formatters.day(transaction.date),
+    title: transaction.title,
+    description: transaction.description || '',
+    type: transaction.type,
+    category: splits.length > 0
+      ? splits.map(split => split.category).join('; ')
+      : (category ? category.name : ''),
+    splits,
+    amount: transaction.amount,
+    signedAmount: transaction.type === 'income' ? transaction.amount : -transaction.amount,
+    formattedAmount: formatters.money(transaction.amount, currency),
+    currency,
+    tags: transaction.tags || [],
+    notes: transaction.notes || '',
+    status: transaction.status,
+    externalId: transaction.externalId
+  };
+};
+
+const writers = {
+  csv: {
+    start: (res) => write(res, CSV_HEADERS.join(',') + '\r\n'),
+    row: (res, row) => write(res, [
+      row.date, row.title, row.description, row.type, row.category,
+      row.amount.toFixed(2), row.formattedAmount, row.currency,
+      row.tags.join(';'), row.notes, row.status
+    ].map(escapeCSV).join(',') + '\r\n'),
+    end: () => Promise.resolve()
+  },
+
+  jsonl: {
+    start: () => Promise.resolve(),
+    row: (res, row) => write(res, JSON.stringify({
+      id: row.id,
+      date: row.date,
+      title: row.title,
+      description: row.description,
+      type: row.type,
+      category: row.category,
+      splits: row.splits,
+      amount: row.amount,
+      formattedAmount: row.formattedAmount,
+      currency: row.currency,
+      tags: row.tags,
+      notes: row.notes,
+      status: row.status
+    }) + '\n'),
+    end: () => Promise.resolve()
+  }
+};
+
+// OFX statement files hold one statement per currency, since a statement's
+// amounts are all in its CURDEF. The user's own currency comes first and
+// keeps the plain account id. No ledger balance is written: exports are
+// filtered transactions, not a whole account.
+const streamOFX = async (res, filter, toExportRow, user, formatters) => {
+  const ofxDay = (date) => formatters.day(date).replace(/-/g, '');
+  const baseCurrency = user.currency || 'USD';
+  const currencies = [...new Set([
+    baseCurrency,
+    ...(await Transaction.distinct('currency', filter)).filter(Boolean).sort()
+  ])];
+
+  await write(res, [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    'ENCODING:USASCII',
+    'CHARSET:1252',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE',
+    '',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS>',
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    `<DTSERVER>${ofxDay(new Date())}</DTSERVER>`,
+    '<LANGUAGE>ENG</LANGUAGE>',
+    '</SONRS></SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1>',
+    ''
+  ].join('\r\n'));
+
+  for (const [index, currency] of currencies.entries()) {
+    // Transactions without a currency are in the user's
+    const inCurrency = {
+      $and: [filter, { currency: currency === baseCurrency ? { $in: [currency, null] } : currency }]
+    };
+
+    const [first, last] = await Promise.all([
+      Transaction.findOne(inCurrency, 'date').sort({ date: 1 }),
+      Transaction.findOne(inCurrency, 'date').sort({ date: -1 })
+    ]);
+    // Only the user's currency gets a statement when it has no transactions
+    if (!first && currency !== baseCurrency) continue;
+
+    await write(res, [
+      '<STMTTRNRS>',
+      `<TRNUID>${index}</TRNUID>`,
+      '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+      '<STMTRS>',
+      `<CURDEF>${currency}</CURDEF>`,
+      '<BANKACCTFROM>',
+      '<BANKID>000000000</BANKID>',
+      `<ACCTID>${currency === baseCurrency ? user._id : `${user._id}-${currency}`}</ACCTID>`,
+      '<ACCTTYPE>CHECKING</ACCTTYPE>',
+      '</BANKACCTFROM>',
+      '<BANKTRANLIST>',
+      `<DTSTART>${ofxDay(first ? first.date : new Date())}</DTSTART>`,
+      `<DTEND>${ofxDay(last ? last.date : new Date())}</DTEND>`,
+      ''
+    ].join('\r\n'));
+
+    const cursor = Transaction.find(inCurrency).sort({ date: 1, _id: 1 }).lean().cursor();
+    try {
+      for await (const transaction of cursor) {
+        const row = toExportRow(transaction);
+        await write(res, [
+          '<STMTTRN>',
+          `<TRNTYPE>${{ income: 'CREDIT', expense: 'DEBIT', transfer: 'XFER' }[row.type]}</TRNTYPE>`,
+          `<DTPOSTED>${row.date.replace(/-/g, '')}</DTPOSTED>`,
+          `<TRNAMT>${row.signedAmount.toFixed(2)}</TRNAMT>`,
+          `<FITID>${escapeXML(row.externalId || row.id)}</FITID>`,
+          `<NAME>${escapeXML(row.title.slice(0, 32))}</NAME>`,
+          row.description ? `<MEMO>${escapeXML(row.description.slice(0, 255))}</MEMO>` : null,
+          '</STMTTRN>',
+          ''
+        ].filter(line => line !== null).join('\r\n'));
+      }
+    } finally {
+      await cursor.close();
+    }
+
+    await write(res, ['</BANKTRANLIST>', '</STMTRS>', '</STMTTRNRS>', ''].join('\r\n'));
+  }
+
+  await write(res, ['</BANKMSGSRSV1>', '</OFX>', ''].join('\r\n'));
+};
+
+// Stream an XLSX workbook; rows are committed to the zip stream as they arrive
+const streamXLSX = async (res, cursor, toExportRow, user) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet('Transactions');
+  const currency = user.currency || 'USD';
+  const moneyFormat = `[$${currency}] #,##0.00`;
+
+  sheet.columns = [
+    { header: 'Date', key: 'date', width: 12 },
+    { header: 'Title', key: 'title', width: 32 },
+    { header: 'Description', key: 'description', width: 32 },
+    { header: 'Type', key: 'type', width: 10 },
+    { header: 'Category', key: 'category', width: 20 },
+    { header: 'Amount', key: 'signedAmount', width: 14, style: { numFmt: moneyFormat } },
+    { header: 'Currency', key: 'currency', width: 10 },
+    { header: 'Tags', key: 'tags', width: 24 },
+    { header: 'Notes', key: 'notes', width: 32 },
+    { header: 'Status', key: 'status', width: 12 }
+  ];
+
+  for await (const transaction of cursor) {
+    const row = toExportRow(transaction);
+    const sheetRow = sheet.addRow({ ...row, tags: row.tags.join(', ') });
+    if (row.currency !== currency) {
+      sheetRow.getCell('signedAmount').numFmt = `[$${row.currency}] #,##0.00`;
+    }
+    sheetRow.commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+// Stream every transaction matching `filter` to the response in `format`
+const streamExport = async (res, format, filter, user) => {
+  const formatters = createFormatters(user);
+  const categories = new Map(
+    (await Category.find({ user: user._id }, 'name')).map(cat => [String(cat._id), cat])
+  );
+  const toExportRow = (transaction) => toRow(transaction, categories, formatters, user);
+
+  const filename = `transactions-${formatters.day(new Date())}.${format}`;
+  res.status(200);
+  res.set('Content-Type', CONTENT_TYPES[format]);
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'ofx') {
+    await streamOFX(res, filter, toExportRow, user, formatters);
+    res.end();
+    return;
+  }
+
+  const cursor = Transaction.find(filter).sort({ date: 1, _id: 1 }).lean().cursor();
+
+  try {
+    if (format === 'xlsx') {
+      await streamXLSX(res, cursor, toExportRow, user);
+      return;
+    }
+
+    const writer = writers[format];
+    await writer.start(res);
+    for await (const transaction of cursor) {
+      await writer.row(res, toExportRow(transaction));
+    }
+    await writer.end(res);
+    res.end();
+  } finally {
+    await cursor.close();
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamExport
+};
@@ -0,0 +1,417 @@
+const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+const { removeAttachments } = require('./storage');
+const { recordChanges } = require('./auditTrail');
+const { loadRules, categorize } = require('./rulesEngine');
+const { loadPayees, findPayeeForTitle, defaultCategoryFor } = require('./payeeService');
+
+// Header names recognised when suggesting a column mapping
+const HEADER_ALIASES = {
+  date: ['date', 'transaction date', 'posted date', 'posting date', 'booking date', 'value date'],
+  title: ['title', 'description', 'payee', 'merchant', 'name', 'details', 'narrative', 'memo'],
+  amount: ['amount', 'value', 'transaction amount', 'sum'],
+  debit: ['debit', 'withdrawal', 'withdrawals', 'money out', 'paid out'],
+  credit: ['credit', 'deposit', 'deposits', 'money in', 'paid in'],
+  type: ['type', 'transaction type', 'dr/cr', 'cr/dr'],
+  category: ['category'],
+  notes: ['notes', 'note'],
+  tags: ['tags', 'labels'],
+  currency: ['currency', 'ccy', 'currency code']
+};
+
+const INCOME_WORDS = ['income', 'credit', 'cr', 'deposit', 'c'];
+const EXPENSE_WORDS = ['expense', 'debit', 'dr', 'withdrawal', 'payment', 'd'];
+
+const pad = (n) => String(n).padStart(2, '0');
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// Suggest a column mapping from the CSV header row
+const suggestMapping = (headers) => {
+  const mapping = {};
+  const used = new Set();
+
+  Object.keys(HEADER_ALIASES).forEach(field => {
+    const header = headers.find(h =>
+      !used.has(h) && HEADER_ALIASES[field].includes(h.trim().toLowerCase())
+    );
+    if (header) {
+      mapping[field] = header;
+      used.add(header);
+    }
+  });
+
+  return mapping;
+};
+
+// Parse an amount like "1,234.56", "(12.00)", "-€5" or "12,50" (decimal comma)
+const parseAmount = (value, decimalSeparator = '.') => {
+  if (value === undefined || value === null) return NaN;
+  let str = String(value).trim();
+  if (!str) return NaN;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(str)) {
+    negative = true;
+    str = str.slice(1, -1);
+  }
+  if (str.includes('-')) {
+    negative = true;
+  }
+
+  str = decimalSeparator === ','
+    ? str.replace(/[^0-9,]/g, '').replace(',', '.')
+    : str.replace(/[^0-9.]/g, '');
+
+  if (!str || isNaN(str)) return NaN;
+  const amount = parseFloat(str);
+  return negative ? -amount : amount;
+};
+
+const DATE_PATTERN = /^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})/;
+
+// Work out DD/MM vs MM/DD from a sample of date values
+const detectDateFormat = (values) => {
+  let sep = '/';
+  for (const value of values) {
+    const match = DATE_PATTERN.exec(String(value || '').trim());
+    if (!match) continue;
+    if (match[1].length === 4) return 'YYYY-MM-DD';
+    sep = String(value).trim()[match[1].length];
+    if (parseInt(match[1]) > 12) return sep === '.' ? 'DD.MM.YYYY' : sep === '-' ? 'DD-MM-YYYY' : 'DD/MM/YYYY';
+    if (parseInt(match[2]) > 12) return sep === '-' ? 'MM-DD-YYYY' : 'MM/DD/YYYY';
+  }
+
+  // Ambiguous: dotted dates are day-first, slashed dates month-first
+  if (sep === '.') return 'DD.MM.YYYY';
+  if (sep === '-') return 'DD-MM-YYYY';
+  return 'MM/DD/YYYY';
+};
+
+// Parse a date string in the given format into a UTC midnight Date
+const parseDate = (value, format = 'YYYY-MM-DD') => {
+  const str = String(value || '').trim();
+  const match = DATE_PATTERN.exec(str);
+  if (!match) return null;
+
+  let year, month, day;
+  if (match[1].length === 4 || format === 'YYYY-MM-DD') {
+    [year, month, day] = [match[1], match[2], match[3]];
+  } else if (format.startsWith('DD')) {
+    [day, month, year] = [match[1], match[2], match[3]];
+  } else {
+    [month, day, year] = [match[1], match[2], match[3]];
+  }
+
+  year = parseInt(year);
+  if (year < 100) year += 2000;
+  month = parseInt(month);
+  day = parseInt(day);
+
+  const date = new Date(`${year}-${pad(month)}-${pad(day)}T00:00:00.000Z`);
+  if (isNaN(date) || date.getUTCMonth() + 1 !== month || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date;
+};
+
+const parseType = (value) => {
+  const str = String(value || '').trim().toLowerCase();
+  if (INCOME_WORDS.includes(str)) return 'income';
+  if (EXPENSE_WORDS.includes(str)) return 'expense';
+  return null;
+};
+
+// Turn one CSV row into transaction fields using the column mapping.
+// Throws an Error with a user-facing message when the row is unusable.
+const normalizeCSVRow = (cells, headers, mapping, options) => {
+  const get = (field) => {
+    if (!mapping[field]) return undefined;
+    const index = headers.indexOf(mapping[field]);
+    return index === -1 ? undefined : cells[index];
+  };
+
+  let amount;
+  if (mapping.amount) {
+    amount = parseAmount(get('amount'), options.decimalSeparator);
+  } else if (mapping.debit || mapping.credit) {
+    const credit = parseAmount(get('credit'), options.decimalSeparator);
+    const debit = parseAmount(get('debit'), options.decimalSeparator);
+    if (!isNaN(credit) && credit !== 0) amount = Math.abs(credit);
+    else if (!isNaN(debit) && debit !== 0) amount = -Math.abs(debit);
+    else amount = NaN;
+  } else {
+    throw new Error('No amount column mapped');
+  }
+
+  if (isNaN(amount) || amount === 0) {
+    throw new Error(`Invalid amount "${get('amount') || get('debit') || get('credit') || ''}"`);
+  }
+
+  let type = mapping.type ? parseType(get('type')) : null;
+  if (!type) {
+    const negativeType = options.negativeIs || 'expense';
+    const positiveType = negativeType === 'expense' ? 'income' : 'expense';
+    type = amount < 0 ? negativeType : positiveType;
+  }
+
+  const date = parseDate(get('date'), options.dateFormat);
+  if (!date) {
+    throw new Error(`Invalid date "${get('date') || ''}"`);
+  }
+
+  const currency = get('currency') ? get('currency').trim().toUpperCase() : undefined;
+  if (currency && !/^[A-Z]{3}$/.test(currency)) {
+    throw new Error(`Invalid currency "${get('currency')}"`);
+  }
+
+  const title = (get('title') || get('description') || 'Imported transaction').slice(0, 100);
+  const tags = get('tags')
+    ? get('tags').split(/[,;|]/).map(tag => tag.trim()).filter(Boolean)
+    : [];
+
+  return {
+    title,
+    amount: Math.round(Math.abs(amount) * 100) / 100,
+    type,
+    date,
+    categoryName: get('category'),
+    description: get('description') !== title ? get('description') : undefined,
+    notes: get('notes'),
+    tags,
+    currency
+  };
+};
+
+const duplicateKey = (data) =>
+  `${data.type}|${data.amount.toFixed(2)}|${dayKey(data.date)}|${data.title.trim().toLowerCase()}`;
+
+// Resolve categories, validate and de-duplicate normalized entries.
+// `entries` is a list of { row, data } or { row, error } objects; the result
+// splits them into documents ready to insert, duplicates and failures.
+const prepareTransactions = async (userId, entries, options = {}) => {
+  const result = { ready: [], duplicates: [], failed: [] };
+
+  const categories = await Category.find({ user: userId, isActive: true });
+  const byName = new Map(categories.map(cat => [`${cat.type}:${cat.name.toLowerCase()}`, cat]));
+  const byId = new Map(categories.map(cat => [cat._id.toString(), cat]));
+
+  const defaults = {};
+  ['income', 'expense'].forEach(type => {
+    const id = options[type === 'income' ? 'defaultIncomeCategory' : 'defaultExpenseCategory'];
+    const category = id && byId.get(id.toString());
+    if (category && category.type === type) {
+      defaults[type] = category;
+    }
+  });
+
+  const rules = await loadRules(userId);
+  const payees = await loadPayees(userId);
+
+  const valid = [];
+  entries.forEach(({ row, data, error }) => {
+    if (error) {
+      result.failed.push({ row, message: error });
+      return;
+    }
+
+    // Rows without a category go through the user's rules before falling
+    // back to the default category
+    if (!data.categoryName) {
+      categorize(rules, data);
+    }
+
+    const payee = findPayeeForTitle(payees, data.title);
+    const payeeCategory = !data.categoryName && defaultCategoryFor(payee, data.type);
+
+    const category = (data.categoryName && byName.get(`${data.type}:${data.categoryName.trim().toLowerCase()}`)) ||
+      (data.category && byId.get(data.category.toString())) ||
+      (payeeCategory && byId.get(payeeCategory.toString())) ||
+      defaults[data.type];
+
+    if (!category) {
+      result.failed.push({
+        row,
+        message: data.categoryName
+          ? `No ${data.type} category named "${data.categoryName}"`
+          : `No category for ${data.type} row; choose a default ${data.type} category`
+      });
+      return;
+    }
+
+    const { categoryName, ...fields } = data;
+    const doc = {
+      ...fields,
+      currency: fields.currency || options.currency,
+      category: category._id,
+      payee: payee ? payee._id : undefined,
+      user: userId,
+      status: 'completed'
+    };
+
+    const validationError = new Transaction(doc).validateSync();
+    if (validationError) {
+      result.failed.push({
+        row,
+        message: Object.values(validationError.errors).map(err => err.message).join(', ')
+      });
+      return;
+    }
+
+    valid.push({ row, doc });
+  });
+
+  if (valid.length === 0) {
+    return result;
+  }
+
+  // Entries with a bank transaction id (OFX FITID or equivalent) are matched
+  // on that id alone, so re-importing a statement never duplicates it
+  const withId = valid.filter(({ doc }) => doc.externalId);
+  const existingIds = new Set();
+  if (withId.length > 0) {
+    // Trashed transactions still hold their id, so they count as duplicates
+    const matches = await Transaction.find({
+      user: userId,
+      externalId: { $in: withId.map(({ doc }) => doc.externalId) }
+    }, 'externalId importAccount').setOptions({ withDeleted: true });
+    matches.forEach(match => existingIds.add(`${match.importAccount}|${match.externalId}`));
+  }
+
+  const withoutId = [];
+  valid.forEach(entry => {
+    if (!entry.doc.externalId) {
+      withoutId.push(entry);
+      return;
+    }
+
+    const key = `${entry.doc.importAccount}|${entry.doc.externalId}`;
+    if (existingIds.has(key)) {
+      result.duplicates.push({ row: entry.row, title: entry.doc.title });
+    } else {
+      existingIds.add(key);
+      result.ready.push(entry);
+    }
+  });
+
+  if (options.skipDuplicates === false || withoutId.length === 0) {
+    result.ready.push(...withoutId);
+    return result;
+  }
+
+  // Count existing transactions per key so that a row is only skipped as
+  // often as a matching transaction already exists
+  const times = withoutId.map(({ doc }) => doc.date.getTime());
+  const existing = await Transaction.find({
+    user: userId,
+    date: {
+      $gte: new Date(Math.min(...times)),
+      $lt: new Date(Math.max(...times) + 24 * 60 * 60 * 1000)
+    }
+  }, 'title amount type date');
+
+  const counts = new Map();
+  existing.forEach(transaction => {
+    const key = duplicateKey(transaction);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  withoutId.forEach(entry => {
+    const key = duplicateKey(entry.doc);
+    if (counts.get(key) > 0) {
+      counts.set(key, counts.get(key) - 1);
+      result.duplicates.push({ row: entry.row, title: entry.doc.title });
+    } else {
+      result.ready.push(entry);
+    }
+  });
+
+  return result;
+};
+
+// Insert prepared transactions for an import in one batch and record the
+// outcome on the import document
+const commitTransactions = async (importDoc, prepared) => {
+  const docs = prepared.ready.map(({ doc }) => ({ ...doc, import: importDoc._id }));
+  const failed = [...prepared.failed];
+  let inserted = [];
+
+  if (docs.length > 0) {
+    try {
+      inserted = await Transaction.insertMany(docs, { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+      inserted = error.insertedDocs || [];
+      error.writeErrors.forEach(writeError => {
+        const entry = prepared.ready[writeError.index];
+        failed.push({ row: entry && entry.row, message: writeError.errmsg || 'Insert failed' });
+      });
+    }
+    await recordChanges('Transaction', inserted.map(doc => ({ before: null, after: doc })));
+  }
+
+  importDoc.status = 'committed';
+  importDoc.committedAt = new Date();
+  importDoc.summary = {
+    total: prepared.ready.length + prepared.duplicates.length + prepared.failed.length,
+    imported: inserted.length,
+    duplicates: prepared.duplicates.length,
+    failed: failed.length
+  };
+  importDoc.rowErrors = failed.sort((a, b) => a.row - b.row);
+  await importDoc.save();
+
+  return { inserted, failed };
+};
+
+// Undo a commit that failed part way: delete whatever it inserted, then
+// return the import to preview. If the delete fails the import stays
+// committing, so a retry can never insert its transactions twice.
+const abandonCommit = async (importDoc) => {
+  await Transaction.deleteMany({ user: importDoc.user, import: importDoc._id });
+  await importDoc.constructor.updateOne(
+    { _id: importDoc._id, status: 'committing' },
+    { status: 'preview' }
+  );
+};
+
+// Delete every transaction created by an import
+const rollbackImport = async (importDoc) => {
+  const reconciled = await Transaction.exists({
+    user: importDoc.user,
+    import: importDoc._id,
+    reconciledAt: { $ne: null }
+  });
+
+  if (reconciled) {
+    const error = new Error('Some of this import\'s transactions are reconciled; reopen the reconciliation first');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const withAttachments = await Transaction.find(
+    { user: importDoc.user, import: importDoc._id, 'attachments.0': { $exists: true } },
+    'attachments'
+  ).setOptions({ withDeleted: true });
+  await removeAttachments(withAttachments.flatMap(transaction => transaction.attachments));
+
+  const result = await Transaction.deleteMany({ user: importDoc.user, import: importDoc._id });
+
+  importDoc.status = 'rolled_back';
+  importDoc.rolledBackAt = new Date();
+  await importDoc.save();
+
+  return result.deletedCount;
+};
+
+module.exports = {
+  suggestMapping,
+  parseAmount,
+  parseDate,
+  detectDateFormat,
+  normalizeCSVRow,
+  prepareTransactions,
+  commitTransactions,
+  abandonCommit,
+  rollbackImport
+};
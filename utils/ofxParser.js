@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'", '&nbsp;': ' ' };
+
+const decode = (value) => value.replace(/&(amp|lt|gt|quot|apos|nbsp);/g, entity => ENTITIES[entity]);
+
+// Read a leaf element. Works for SGML (OFX 1.x, no closing tag) and XML (OFX 2.x).
+const getValue = (block, tag) => {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+  if (!match) return undefined;
+  const value = decode(match[1].trim());
+  return value === '' ? undefined : value;
+};
+
+// Read every aggregate (elements with a closing tag) of the given name
+const getBlocks = (text, tag) => {
+  const blocks = [];
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi');
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    blocks.push(match[1]);
+  }
+  return blocks;
+};
+
+// OFX dates look like YYYYMMDD[HHMMSS[.XXX]][[-5:EST]]; keep the posting day
+const parseOFXDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  if (!match) return null;
+  const date = new Date(`${match[1]}-${match[2]}-${match[3]}T00:00:00.000Z`);
+  return isNaN(date) || date.getUTCDate() !== parseInt(match[3]) ? null : date;
+};
+
+// Parse an OFX amount; some banks use a decimal comma
+const parseOFXAmount = (value) => {
+  if (!value) return NaN;
+  const normalized = value.replace(/\s/g, '').replace(',', '.');
+  return /^[+-]?\d*\.?\d+$/.test(normalized) ? parseFloat(normalized) : NaN;
+};
+
+// File-level parse errors are reported to the client as 400s
+const statementError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const fallbackId = (parts) => crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+
+// Parse an OFX or QFX file into statements. Each statement carries its
+// account, currency and a list of { row, data } or { row, error } entries,
+// so one bad transaction never fails the whole file.
+const parseOFX = (text) => {
+  if (!/<OFX>/i.test(text)) {
+    throw statementError('File is not a valid OFX/QFX statement');
+  }
+
+  const statements = [];
+  let row = 0;
+
+  const statementBlocks = [
+    ...getBlocks(text, 'STMTRS').map(block => ({ block, fromTag: 'BANKACCTFROM' })),
+    ...getBlocks(text, 'CCSTMTRS').map(block => ({ block, fromTag: 'CCACCTFROM' }))
+  ];
+
+  statementBlocks.forEach(({ block, fromTag }) => {
+    const accountBlock = getBlocks(block, fromTag)[0] || '';
+    const account = getValue(accountBlock, 'ACCTID');
+    const statement = {
+      account,
+      bankId: getValue(accountBlock, 'BANKID'),
+      accountType: getValue(accountBlock, 'ACCTTYPE') || (fromTag === 'CCACCTFROM' ? 'CREDITCARD' : undefined),
+      currency: (getValue(block, 'CURDEF') || '').toUpperCase() || undefined,
+      entries: []
+    };
+
+    const seen = new Map();
+
+    getBlocks(block, 'STMTTRN').forEach(trn => {
+      row++;
+      try {
+        const date = parseOFXDate(getValue(trn, 'DTPOSTED'));
+        if (!date) {
+          throw new Error(`Invalid DTPOSTED "${getValue(trn, 'DTPOSTED') || ''}"`);
+        }
+
+        const amount = parseOFXAmount(getValue(trn, 'TRNAMT'));
+        if (isNaN(amount) || amount === 0) {
+          throw new Error(`Invalid TRNAMT "${getValue(trn, 'TRNAMT') || ''}"`);
+        }
+
+        const payeeBlock = getBlocks(trn, 'PAYEE')[0];
+        const name = getValue(trn, 'NAME') || (payeeBlock && getValue(payeeBlock, 'NAME'));
+        const memo = getValue(trn, 'MEMO');
+        const title = (name || memo || getValue(trn, 'TRNTYPE') || 'Imported transaction').slice(0, 100);
+
+        // Transactions in a foreign currency carry their own CURRENCY aggregate
+        const currencyBlock = getBlocks(trn, 'CURRENCY')[0] || getBlocks(trn, 'ORIGCURRENCY')[0];
+        const currency = (currencyBlock && getValue(currencyBlock, 'CURSYM')) || statement.currency;
+
+        let externalId = getValue(trn, 'FITID');
+        if (!externalId) {
+          const base = fallbackId([account, date.toISOString(), amount, title, getValue(trn, 'CHECKNUM')]);
+          const count = seen.get(base) || 0;
+          seen.set(base, count + 1);
+          externalId = `gen:${count ? fallbackId([base, count]) : base}`;
+        }
+
+        statement.entries.push({
+          row,
+          data: {
+            title,
+            amount: Math.round(Math.abs(amount) * 100) / 100,
+            type: amount < 0 ? 'expense' : 'income',
+            date,
+            description: memo && memo !== title ? memo.slice(0, 500) : undefined,
+            externalId,
+            importAccount: account,
+            currency: currency ? currency.toUpperCase() : undefined
+          }
+        });
+      } catch (error) {
+        statement.entries.push({ row, error: error.message });
+      }
+    });
+
+    statements.push(statement);
+  });
+
+  if (statements.length === 0) {
+    throw statementError('No bank or credit card statements found in file');
+  }
+
+  return statements;
+};
+
+module.exports = {
+  parseOFX,
+  parseOFXDate,
+  fallbackId,
+  statementError
+};
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Raise an error that routes report as a 400
+const cursorError = () => {
+  const error = new Error('Invalid pagination cursor');
+  error.statusCode = 400;
+  return error;
+};
+
+// Opaque cursor holding the sort and the position of the last item returned
+const encodeCursor = ({ sortBy, direction, value, id }) => Buffer.from(JSON.stringify({
+  s: sortBy,
+  d: direction,
+  v: value instanceof Date ? { $date: value.toISOString() } : value,
+  id: String(id)
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw cursorError();
+  }
+
+  if (!data || typeof data.s !== 'string' || ![1, -1].includes(data.d) ||
+      !mongoose.Types.ObjectId.isValid(data.id)) {
+    throw cursorError();
+  }
+
+  // Positions are plain values; anything else could smuggle in operators
+  const isDate = data.v && typeof data.v === 'object' && typeof data.v.$date === 'string' &&
+    Object.keys(data.v).length === 1;
+  if (data.v !== null && typeof data.v === 'object' && !isDate) {
+    throw cursorError();
+  }
+
+  const value = isDate ? new Date(data.v.$date) : data.v;
+  if (value instanceof Date && isNaN(value)) {
+    throw cursorError();
+  }
+
+  return {
+    sortBy: data.s,
+    direction: data.d,
+    value,
+    id: new mongoose.Types.ObjectId(data.id)
+  };
+};
+
+// Condition selecting the items after a cursor in (sortBy, _id) order, so
+// pages stay stable while new items are inserted
+const afterCursor = ({ sortBy, direction, value, id }) => {
+  const beyond = direction === -1 ? '$lt' : '$gt';
+  return {
+    $or: [
+      { [sortBy]: { [beyond]: value } },
+      { [sortBy]: value, _id: { [beyond]: id } }
+    ]
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  afterCursor
+};
@@ -0,0 +1,126 @@
+const Payee = require('../models/Payee');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+
+// A user's payees with the type of their default category, for matching
+const loadPayees = (userId) => Payee.find({ user: userId })
+  .populate('defaultCategory', 'type isActive');
+
+// The payee whose name or an alias starts the title, preferring the longest
+// match so "Amazon Prime" wins over "Amazon"
+const findPayeeForTitle = (payees, title) => {
+  const normalized = Payee.normalizeName(title);
+  if (!normalized) return null;
+
+  let best = null;
+  let bestLength = 0;
+  payees.forEach(payee => {
+    payee.keys.forEach(key => {
+      if (key.length > bestLength && (normalized === key || normalized.startsWith(`${key} `))) {
+        best = payee;
+        bestLength = key.length;
+      }
+    });
+  });
+
+  return best;
+};
+
+// The payee's default category when it is active and fits `type`
+const defaultCategoryFor = (payee, type) => {
+  const category = payee && payee.defaultCategory;
+  return category && category.isActive && category.type === type ? category._id : null;
+};
+
+// Link transactions without a payee to the payee their title names.
+// Returns the number of transactions linked.
+const linkTransactions = async (userId, payees) => {
+  const titles = await Transaction.distinct('title', { user: userId, payee: null });
+
+  const titlesByPayee = new Map();
+  titles.forEach(title => {
+    const payee = findPayeeForTitle(payees, title);
+    if (!payee) return;
+    if (!titlesByPayee.has(payee)) titlesByPayee.set(payee, []);
+    titlesByPayee.get(payee).push(title);
+  });
+
+  let linked = 0;
+  for (const [payee, payeeTitles] of titlesByPayee) {
+    const result = await Transaction.updateMany(
+      { user: userId, payee: null, title: { $in: payeeTitles } },
+      { $set: { payee: payee._id } }
+    );
+    linked += result.modifiedCount;
+  }
+
+  return linked;
+};
+
+// Fold `sources` into `target`: their names and aliases become aliases of
+// the target, their transactions move to it and they are deleted. The
+// sources go last, so a failed step never leaves transactions pointing at a
+// payee that no longer exists; the merge can then simply be run again.
+const mergePayees = async (userId, target, sources) => {
+  const sourceIds = sources.map(source => source._id);
+
+  const aliases = sources.flatMap(source => [source.name, ...source.aliases]);
+  const known = new Set(target.keys);
+  aliases.forEach(alias => {
+    const key = Payee.normalizeName(alias);
+    if (key && !known.has(key)) {
+      known.add(key);
+      target.aliases.push(alias);
+    }
+  });
+
+  // Only take over a category that would pass the save check
+  if (!target.defaultCategory) {
+    const candidates = sources.map(source => source.defaultCategory).filter(Boolean);
+    const category = candidates.length > 0 && await Category.findOne({
+      _id: { $in: candidates },
+      user: userId,
+      isActive: true
+    });
+    if (category) target.defaultCategory = category._id;
+  }
+  if (!target.logo) {
+    const withLogo = sources.find(source => source.logo);
+    if (withLogo) target.logo = withLogo.logo;
+  }
+
+  // Keys are unique per user, so the sources first give theirs up for a
+  // placeholder no payee name normalizes to, and get them back if the
+  // target cannot be saved
+  const setSourceKeys = (keysOf) => Payee.bulkWrite(sources.map(source => ({
+    updateOne: {
+      filter: { _id: source._id, user: userId },
+      update: { $set: { keys: keysOf(source) } }
+    }
+  })));
+
+  await setSourceKeys(source => [`merged:${source._id}`]);
+  try {
+    await target.save();
+  } catch (error) {
+    await setSourceKeys(source => source.keys);
+    throw error;
+  }
+
+  const result = await Transaction.updateMany(
+    { user: userId, payee: { $in: sourceIds } },
+    { $set: { payee: target._id } }
+  ).setOptions({ withDeleted: true });
+
+  await Payee.deleteMany({ _id: { $in: sourceIds }, user: userId });
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  loadPayees,
+  findPayeeForTitle,
+  defaultCategoryFor,
+  linkTransactions,
+  mergePayees
+};
@@ -0,0 +1,35 @@
+const Transaction = require('../models/Transaction');
+
+// Complete the future-dated transactions whose date has arrived
+const completeDueTransactions = async (now = new Date()) => {
+  const result = await Transaction.updateMany(
+    { status: 'pending', completeOnDate: true, date: { $lte: now } },
+    { $set: { status: 'completed', completeOnDate: false } }
+  );
+
+  return result.modifiedCount;
+};
+
+// Run the check at startup and then on a fixed interval
+const startPendingScheduler = (intervalMs = parseInt(process.env.PENDING_INTERVAL_MS) || 15 * 60 * 1000) => {
+  const run = async () => {
+    try {
+      const completed = await completeDueTransactions();
+      if (completed > 0) {
+        console.log(`Scheduled transactions: completed ${completed} transaction(s)`);
+      }
+    } catch (error) {
+      console.error('Scheduled transactions error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  completeDueTransactions,
+  startPendingScheduler
+};
@@ -0,0 +1,146 @@
+const { fallbackId, statementError } = require('./ofxParser');
+const { parseAmount, parseDate, detectDateFormat } = require('./importService');
+
+// Account types whose records are plain cash-flow transactions
+const SUPPORTED_TYPES = ['bank', 'cash', 'ccard', 'oth a', 'oth l'];
+// List sections that carry no transactions
+const LIST_TYPES = ['cat', 'class', 'memorized', 'prices', 'security'];
+
+// QIF dates look like 1/ 5'24, 01/05/2024 or 2024-01-05
+const normalizeQIFDate = (value) => (value || '').replace(/\s/g, '').replace("'", '/');
+
+// Parse a QIF file into statements, one per account section. QIF has no
+// transaction ids, so a stable id is derived from each record's content.
+const parseQIF = (text, { currency, dateFormat = 'auto' } = {}) => {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const statements = [];
+  let statement = null;
+  let sectionType = null;
+  let inAccount = false;
+  let accountName;
+  let record = {};
+  let recordLine = 0;
+  let row = 0;
+  const records = [];
+
+  const startStatement = () => {
+    statement = { account: accountName, accountType: sectionType, currency, records: [] };
+    statements.push(statement);
+  };
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('!')) {
+      const header = line.toLowerCase();
+      if (header === '!account') {
+        inAccount = true;
+        accountName = undefined;
+      } else if (header.startsWith('!type:')) {
+        sectionType = header.slice(6).trim();
+        inAccount = false;
+        startStatement();
+      }
+      record = {};
+      return;
+    }
+
+    if (line === '^') {
+      if (inAccount) {
+        inAccount = false;
+      } else if (statement && Object.keys(record).length > 0) {
+        row++;
+        const entry = { row, line: recordLine, record };
+        statement.records.push(entry);
+        records.push(entry);
+      }
+      record = {};
+      return;
+    }
+
+    const code = line[0];
+    const value = line.slice(1).trim();
+
+    if (inAccount) {
+      if (code === 'N') accountName = value;
+      return;
+    }
+
+    if (Object.keys(record).length === 0) recordLine = index + 1;
+    // Split lines (S, E, $) repeat; keep the first of every other code
+    if (record[code] === undefined) record[code] = value;
+  });
+
+  // Decide DD/MM vs MM/DD once for the whole file
+  const format = dateFormat === 'auto'
+    ? detectDateFormat(records.map(entry => normalizeQIFDate(entry.record.D)))
+    : dateFormat;
+
+  statements.forEach(item => {
+    const seen = new Map();
+    const type = (item.accountType || '').toLowerCase();
+
+    item.entries = item.records.map(({ row: entryRow, line, record: fields }) => {
+      try {
+        if (LIST_TYPES.includes(type)) {
+          return null;
+        }
+        if (!SUPPORTED_TYPES.includes(type)) {
+          throw new Error(`Unsupported QIF account type "${item.accountType}"`);
+        }
+
+        const date = parseDate(normalizeQIFDate(fields.D), format);
+        if (!date) {
+          throw new Error(`Invalid date "${fields.D || ''}" on line ${line}`);
+        }
+
+        const amount = parseAmount(fields.T !== undefined ? fields.T : fields.U);
+        if (isNaN(amount) || amount === 0) {
+          throw new Error(`Invalid amount "${fields.T || fields.U || ''}" on line ${line}`);
+        }
+
+        const title = (fields.P || fields.M || 'Imported transaction').slice(0, 100);
+
+        // Categories in brackets are transfers to another account
+        const category = fields.L && !/^\[.*\]$/.test(fields.L)
+          ? fields.L.split(':')[0].split('/')[0].trim()
+          : undefined;
+
+        const base = fallbackId([item.account, date.toISOString(), amount, title, fields.N]);
+        const count = seen.get(base) || 0;
+        seen.set(base, count + 1);
+
+        return {
+          row: entryRow,
+          data: {
+            title,
+            amount: Math.round(Math.abs(amount) * 100) / 100,
+            type: amount < 0 ? 'expense' : 'income',
+            date,
+            categoryName: category,
+            description: fields.M && fields.M !== title ? fields.M.slice(0, 500) : undefined,
+            externalId: `qif:${count ? fallbackId([base, count]) : base}`,
+            importAccount: item.account,
+            currency: item.currency
+          }
+        };
+      } catch (error) {
+        return { row: entryRow, error: error.message };
+      }
+    }).filter(Boolean);
+
+    delete item.records;
+  });
+
+  const withEntries = statements.filter(item => item.entries.length > 0);
+  if (withEntries.length === 0) {
+    throw statementError('No transactions found in QIF file');
+  }
+
+  return withEntries;
+};
+
+module.exports = {
+  parseQIF
+};
@@ -0,0 +1,114 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const RealtimeEvent = require('../models/RealtimeEvent');
+const { onChange, changeEventName } = require('./auditTrail');
+
+// Most missed events replayed to a reconnecting client; one that missed
+// more is told to reload instead
+const MAX_REPLAY_EVENTS = 1000;
+
+// Transaction fields that move balances, summaries and analytics
+const SUMMARY_FIELDS = [
+  'amount', 'type', 'category', 'splits', 'account', 'toAccount', 'toAmount',
+  'currency', 'date', 'status', 'deletedAt'
+];
+
+// Live events by user id, for the streams open in this process
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Saves run one after another so events reach streams in id order
+let publishing = Promise.resolve();
+
+// Store `events` ({ event, data }) for replay and push them to the user's
+// open streams
+const publish = (userId, events) => {
+  publishing = publishing
+    .then(async () => {
+      const saved = await RealtimeEvent.insertMany(events.map(({ event, data }) => ({
+        user: userId,
+        event,
+        data
+      })));
+      emitter.emit(String(userId), saved.map(event => event.toObject()));
+    })
+    .catch(error => console.error('Realtime publish error:', error));
+
+  return publishing;
+};
+
+// Listen for the user's live events; returns the function that stops it
+const subscribe = (userId, listener) => {
+  const key = String(userId);
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+};
+
+// The user's events after `lastEventId`, oldest first, or null when they
+// cannot all be replayed (too many, expired or an unknown id)
+const eventsSince = async (userId, lastEventId) => {
+  if (!mongoose.isObjectIdOrHexString(lastEventId)) return null;
+
+  const lastId = new mongoose.Types.ObjectId(lastEventId);
+  const cutoff = Date.now() - RealtimeEvent.REPLAY_HOURS * 60 * 60 * 1000;
+  if (lastId.getTimestamp().getTime() < cutoff || lastId.getTimestamp().getTime() > Date.now() + 60 * 1000) {
+    return null;
+  }
+
+  const events = await RealtimeEvent.find({ user: userId, _id: { $gt: lastId } })
+    .sort({ _id: 1 })
+    .limit(MAX_REPLAY_EVENTS + 1)
+    .lean();
+
+  return events.length > MAX_REPLAY_EVENTS ? null : events;
+};
+
+// Whether a transaction change can move a total
+const changesSummary = (entry) => entry.action !== 'update' ||
+  entry.changes.some(change => SUMMARY_FIELDS.includes(change.field));
+
+// Turn recorded changes into events per user: one per changed record,
+// and one summary.changed per batch whose transactions move totals, with
+// the dates they touched
+const publishChanges = (entries) => {
+  const byUser = new Map();
+  entries.forEach(entry => {
+    const key = String(entry.user);
+    if (!byUser.has(key)) byUser.set(key, { events: [], dates: new Set() });
+    const pending = byUser.get(key);
+    const name = entry.entityType.toLowerCase();
+
+    pending.events.push({
+      event: changeEventName(entry),
+      data: {
+        [name]: { _id: entry.entityId, ...entry.snapshot },
+        changes: entry.changes.map(change => change.field)
+      }
+    });
+
+    if (entry.entityType === 'Transaction' && changesSummary(entry)) {
+      const dateChange = entry.changes.find(change => change.field === 'date');
+      [entry.snapshot.date, dateChange && dateChange.before]
+        .filter(Boolean)
+        .forEach(date => pending.dates.add(String(date).slice(0, 10)));
+    }
+  });
+
+  byUser.forEach(({ events, dates }, userId) => {
+    if (dates.size > 0) {
+      events.push({ event: 'summary.changed', data: { dates: [...dates].sort() } });
+    }
+    publish(userId, events);
+  });
+};
+
+// Publish every change recorded from now on
+const startRealtimeEvents = () => {
+  onChange(publishChanges);
+};
+
+module.exports = {
+  subscribe,
+  eventsSince,
+  startRealtimeEvents
+};
@@ -0,0 +1,226 @@
+const Transaction = require('../models/Transaction');
+
+// Most transactions listed for one statement
+const MAX_STATEMENT_TRANSACTIONS = 2000;
+
+const reconciliationError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// The statement covers its whole last day
+const statementEnd = (reconciliation) => {
+  const end = new Date(reconciliation.statementDate);
+  end.setUTCHours(23, 59, 59, 999);
+  return end;
+};
+
+// Transactions of the account that can appear on the statement
+const statementFilter = (reconciliation) => ({
+  user: reconciliation.user,
+  $or: [{ account: reconciliation.account }, { toAccount: reconciliation.account }],
+  status: { $ne: 'cancelled' },
+  date: { $lte: statementEnd(reconciliation) }
+});
+
+// A transaction's effect on the account, matching accountAmountExpression
+const accountAmount = (transaction, accountId) => {
+  if (transaction.type === 'transfer' && String(transaction.toAccount) === String(accountId)) {
+    return transaction.toAmount || transaction.amount;
+  }
+  return transaction.type === 'income' ? transaction.amount : -transaction.amount;
+};
+
+const checkInProgress = (reconciliation) => {
+  if (reconciliation.status !== 'in_progress') {
+    throw reconciliationError('This reconciliation is finished; reopen it to make changes');
+  }
+};
+
+// Starting balance, the balance of the ticked transactions and what is
+// left to account for against the statement's closing balance
+const getSummary = async (reconciliation) => {
+  const [cleared] = await Transaction.aggregate([
+    { $match: { ...statementFilter(reconciliation), reconciliation: reconciliation._id } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: Transaction.accountAmountExpression(reconciliation.account) },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const clearedBalance = roundCents(reconciliation.startingBalance + (cleared ? cleared.total : 0));
+
+  return {
+    startingBalance: reconciliation.startingBalance,
+    closingBalance: reconciliation.closingBalance,
+    clearedBalance,
+    clearedCount: cleared ? cleared.count : 0,
+    difference: roundCents(reconciliation.closingBalance - clearedBalance)
+  };
+};
+
+// The statement's transactions: while in progress, every unreconciled one up
+// to the statement date; once finished, the ones that were ticked off
+const listStatementTransactions = async (reconciliation) => {
+  const filter = reconciliation.status === 'in_progress'
+    ? {
+      ...statementFilter(reconciliation),
+      $and: [{ $or: [{ reconciledAt: null }, { reconciliation: reconciliation._id }] }]
+    }
+    : { user: reconciliation.user, reconciliation: reconciliation._id };
+
+  const transactions = await Transaction.find(filter,
+    'title amount type date status account toAccount toAmount category payee reconciliation')
+    .populate('category', 'name icon color type')
+    .sort({ date: 1, _id: 1 })
+    .limit(MAX_STATEMENT_TRANSACTIONS)
+    .lean();
+
+  return transactions.map(({ reconciliation: ticked, ...transaction }) => ({
+    ...transaction,
+    accountAmount: accountAmount(transaction, reconciliation.account),
+    cleared: String(ticked) === String(reconciliation._id)
+  }));
+};
+
+// Tick transactions off against the statement, or untick them
+const setCleared = async (reconciliation, ids, cleared) => {
+  checkInProgress(reconciliation);
+  const uniqueIds = [...new Set(ids.map(String))];
+
+  if (!cleared) {
+    const result = await Transaction.updateMany(
+      { _id: { $in: uniqueIds }, user: reconciliation.user, reconciliation: reconciliation._id },
+      { $unset: { reconciliation: 1 } }
+    );
+    return result.modifiedCount;
+  }
+
+  const filter = { ...statementFilter(reconciliation), _id: { $in: uniqueIds }, reconciledAt: null };
+  const found = await Transaction.countDocuments(filter);
+  if (found !== uniqueIds.length) {
+    throw reconciliationError(
+      'Some transactions are not on this statement: they must belong to the account, ' +
+      'be unreconciled and dated on or before the statement date'
+    );
+  }
+
+  const result = await Transaction.updateMany(filter, { $set: { reconciliation: reconciliation._id } });
+  return result.modifiedCount;
+};
+
+// Change the statement date or closing balance; ticked transactions dated
+// after a moved statement date are unticked
+const updateStatement = async (reconciliation, { statementDate, closingBalance }) => {
+  checkInProgress(reconciliation);
+
+  if (statementDate !== undefined) reconciliation.statementDate = statementDate;
+  if (closingBalance !== undefined) reconciliation.closingBalance = closingBalance;
+  await reconciliation.save();
+
+  await Transaction.updateMany(
+    {
+      user: reconciliation.user,
+      reconciliation: reconciliation._id,
+      date: { $gt: statementEnd(reconciliation) }
+    },
+    { $unset: { reconciliation: 1 } }
+  );
+
+  return reconciliation;
+};
+
+// Finish a reconciliation that balances: its ticked transactions become
+// completed and are locked against changes to their amounts and dates
+const finishReconciliation = async (reconciliation) => {
+  checkInProgress(reconciliation);
+
+  const summary = await getSummary(reconciliation);
+  if (summary.difference !== 0) {
+    throw reconciliationError(
+      `The statement is off by ${summary.difference.toFixed(2)}; ` +
+      'tick off the missing transactions or correct the closing balance'
+    );
+  }
+
+  const now = new Date();
+  await Transaction.updateMany(
+    { ...statementFilter(reconciliation), reconciliation: reconciliation._id },
+    { $set: { reconciledAt: now, status: 'completed', completeOnDate: false } }
+  );
+
+  // Ticked transactions that were trashed, cancelled or moved out of the
+  // statement meanwhile are not part of it
+  await Transaction.updateMany(
+    { user: reconciliation.user, reconciliation: reconciliation._id, reconciledAt: null },
+    { $unset: { reconciliation: 1 } }
+  ).setOptions({ withDeleted: true });
+
+  reconciliation.status = 'completed';
+  reconciliation.completedAt = now;
+  await reconciliation.save();
+
+  return { ...summary, reconciledCount: summary.clearedCount };
+};
+
+// Reopen the account's latest finished reconciliation, unlocking its
+// transactions. Later statements start from its closing balance, so only the
+// latest one can be reopened.
+const reopenReconciliation = async (reconciliation) => {
+  if (reconciliation.status !== 'completed') {
+    throw reconciliationError('This reconciliation is not finished');
+  }
+
+  const Reconciliation = reconciliation.constructor;
+  const [last, open] = await Promise.all([
+    Reconciliation.findLastCompleted(reconciliation.user, reconciliation.account),
+    Reconciliation.exists({ user: reconciliation.user, account: reconciliation.account, status: 'in_progress' })
+  ]);
+
+  if (!last || !last._id.equals(reconciliation._id)) {
+    throw reconciliationError('Only the latest reconciliation of an account can be reopened');
+  }
+  if (open) {
+    throw reconciliationError('Finish or discard the reconciliation in progress first');
+  }
+
+  await Transaction.updateMany(
+    { user: reconciliation.user, reconciliation: reconciliation._id },
+    { $set: { reconciledAt: null } }
+  );
+
+  reconciliation.status = 'in_progress';
+  reconciliation.completedAt = null;
+  await reconciliation.save();
+
+  return reconciliation;
+};
+
+// Throw away a reconciliation in progress, unticking its transactions
+const discardReconciliation = async (reconciliation) => {
+  checkInProgress(reconciliation);
+
+  await Transaction.updateMany(
+    { user: reconciliation.user, reconciliation: reconciliation._id },
+    { $unset: { reconciliation: 1 } }
+  ).setOptions({ withDeleted: true });
+
+  await reconciliation.deleteOne();
+};
+
+module.exports = {
+  MAX_STATEMENT_TRANSACTIONS,
+  getSummary,
+  listStatementTransactions,
+  setCleared,
+  updateStatement,
+  finishReconciliation,
+  reopenReconciliation,
+  discardReconciliation
+};
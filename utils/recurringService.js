@@ -0,0 +1,218 @@
+const Transaction = require('../models/Transaction');
+
+// Safety cap on occurrences generated for one template in a single run
+const MAX_CATCH_UP = 1000;
+
+// Fields copied from a recurring template onto each generated occurrence
+const TEMPLATE_FIELDS = [
+  'title', 'description', 'amount', 'type', 'category', 'user',
+  'tags', 'location', 'notes', 'splits', 'account', 'toAccount', 'toAmount', 'payee'
+];
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Advance a date by one recurrence step. Monthly and yearly steps keep the
+// day of month of the anchor date, clamped to the length of the target month
+// (so Jan 31 -> Feb 28 -> Mar 31).
+const getNextOccurrence = (fromDate, frequency, interval = 1, anchorDate = fromDate) => {
+  const from = new Date(fromDate);
+  const step = Math.max(parseInt(interval) || 1, 1);
+  const next = new Date(from);
+
+  switch (frequency) {
+    case 'daily':
+      next.setUTCDate(from.getUTCDate() + step);
+      return next;
+    case 'weekly':
+      next.setUTCDate(from.getUTCDate() + 7 * step);
+      return next;
+    case 'monthly':
+    case 'yearly': {
+      const months = frequency === 'monthly' ? step : 12 * step;
+      const total = from.getUTCMonth() + months;
+      const year = from.getUTCFullYear() + Math.floor(total / 12);
+      const month = ((total % 12) + 12) % 12;
+      const day = Math.min(new Date(anchorDate).getUTCDate(), daysInMonth(year, month));
+      next.setUTCFullYear(year, month, day);
+      return next;
+    }
+    default:
+      throw new Error(`Unsupported recurring frequency: ${frequency}`);
+  }
+};
+
+const sameDay = (a, b) => new Date(a).toISOString().slice(0, 10) === new Date(b).toISOString().slice(0, 10);
+
+const isSkipped = (template, date) =>
+  (template.recurringPattern.skippedDates || []).some(skipped => sameDay(skipped, date));
+
+const findOverride = (template, date) =>
+  (template.recurringPattern.overrides || []).find(override => sameDay(override.date, date));
+
+// List the next `count` due dates of a template without materializing them
+const getUpcomingOccurrences = (template, count = 5) => {
+  const pattern = template.recurringPattern || {};
+  const occurrences = [];
+  let date = pattern.nextDueDate;
+
+  while (date && occurrences.length < count) {
+    if (pattern.endDate && date > pattern.endDate) break;
+
+    const override = findOverride(template, date);
+    occurrences.push({
+      date,
+      skipped: isSkipped(template, date),
+      title: (override && override.title) || template.title,
+      amount: (override && override.amount) || template.amount,
+      description: (override && override.description) || template.description,
+      notes: (override && override.notes) || template.notes
+    });
+
+    date = getNextOccurrence(date, pattern.frequency, pattern.interval, template.date);
+  }
+
+  return occurrences;
+};
+
+// Build the document for a single occurrence of a template
+const buildOccurrence = (template, date) => {
+  const occurrence = {};
+  TEMPLATE_FIELDS.forEach(field => {
+    if (template[field] !== undefined) {
+      occurrence[field] = template[field];
+    }
+  });
+
+  const override = findOverride(template, date);
+  if (override) {
+    ['title', 'amount', 'description', 'notes'].forEach(field => {
+      if (override[field] !== undefined && override[field] !== null) {
+        occurrence[field] = override[field];
+      }
+    });
+
+    // Split lines no longer add up to an overridden amount
+    if (override.amount && override.amount !== template.amount) {
+      occurrence.splits = [];
+    }
+  }
+
+  occurrence.date = date;
+  occurrence.occurrenceDate = date;
+  occurrence.recurringSource = template._id;
+  occurrence.isRecurring = false;
+  occurrence.status = 'completed';
+
+  return occurrence;
+};
+
+// Materialize every due occurrence of one template up to `now`, including
+// occurrences missed while the server was down. Occurrences are upserted on
+// (recurringSource, occurrenceDate) and nextDueDate is only advanced if no
+// other run has moved it, so running twice never creates duplicates.
+const processTemplate = async (template, now = new Date()) => {
+  const pattern = template.recurringPattern;
+  let dueDate = pattern.nextDueDate;
+  let created = 0;
+  let iterations = 0;
+
+  while (dueDate && dueDate <= now && iterations < MAX_CATCH_UP) {
+    iterations++;
+
+    if (pattern.endDate && dueDate > pattern.endDate) {
+      break;
+    }
+
+    if (!isSkipped(template, dueDate)) {
+      // A trashed occurrence still counts, so deleting one never recreates it
+      const result = await Transaction.updateOne(
+        { recurringSource: template._id, occurrenceDate: dueDate },
+        { $setOnInsert: buildOccurrence(template, dueDate) },
+        { upsert: true, withDeleted: true }
+      );
+      created += result.upsertedCount || 0;
+    }
+
+    const nextDueDate = getNextOccurrence(dueDate, pattern.frequency, pattern.interval, template.date);
+    const advanced = await Transaction.updateOne(
+      { _id: template._id, 'recurringPattern.nextDueDate': dueDate },
+      {
+        $set: { 'recurringPattern.nextDueDate': nextDueDate },
+        $pull: {
+          'recurringPattern.skippedDates': dueDate,
+          'recurringPattern.overrides': { date: dueDate }
+        }
+      }
+    );
+
+    // Another run advanced this template concurrently; let it finish
+    if (advanced.modifiedCount === 0) {
+      break;
+    }
+
+    dueDate = nextDueDate;
+  }
+
+  // Past the end date: the template has nothing more to generate
+  if (pattern.endDate && dueDate && dueDate > pattern.endDate) {
+    await Transaction.updateOne(
+      { _id: template._id },
+      { $unset: { 'recurringPattern.nextDueDate': 1 } }
+    );
+  }
+
+  return created;
+};
+
+// Process all active recurring templates that are due, optionally for one user
+const processDueRecurring = async (now = new Date(), userId) => {
+  const filter = {
+    isRecurring: true,
+    'recurringPattern.isPaused': { $ne: true },
+    'recurringPattern.nextDueDate': { $lte: now }
+  };
+
+  if (userId) {
+    filter.user = userId;
+  }
+
+  const templates = await Transaction.find(filter);
+  let created = 0;
+
+  for (const template of templates) {
+    try {
+      created += await processTemplate(template, now);
+    } catch (error) {
+      console.error(`Recurring transaction ${template._id} failed:`, error);
+    }
+  }
+
+  return { templates: templates.length, created };
+};
+
+// Run the recurring processor at startup and then on a fixed interval
+const startRecurringScheduler = (intervalMs = parseInt(process.env.RECURRING_INTERVAL_MS) || 60 * 60 * 1000) => {
+  const run = async () => {
+    try {
+      const { templates, created } = await processDueRecurring();
+      if (created > 0) {
+        console.log(`Recurring scheduler: created ${created} transaction(s) from ${templates} template(s)`);
+      }
+    } catch (error) {
+      console.error('Recurring scheduler error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getNextOccurrence,
+  getUpcomingOccurrences,
+  processTemplate,
+  processDueRecurring,
+  startRecurringScheduler
+};
@@ -0,0 +1,185 @@
+const Rule = require('../models/Rule');
+const Transaction = require('../models/Transaction');
+
+// Most transactions a single re-apply run will look at
+const MAX_REAPPLY_TRANSACTIONS = 10000;
+
+// Active rules of a user in priority order, optionally limited to `ruleIds`.
+// Category actions whose category was deleted or deactivated are dropped.
+const loadRules = async (userId, ruleIds) => {
+  const filter = { user: userId, isActive: true };
+  if (ruleIds) {
+    filter._id = { $in: ruleIds };
+  }
+
+  const rules = await Rule.find(filter)
+    .populate('actions.category', 'name type isActive')
+    .sort({ priority: 1, createdAt: 1 });
+
+  rules.forEach(rule => {
+    if (rule.actions.category && !rule.actions.category.isActive) {
+      rule.actions.category = undefined;
+    }
+  });
+
+  return rules;
+};
+
+const matchesPattern = (pattern, text) => {
+  if (!pattern) return true;
+
+  const value = String(text || '').toLowerCase();
+  const expected = pattern.value.toLowerCase();
+  switch (pattern.operator) {
+    case 'equals':
+      return value.trim() === expected.trim();
+    case 'startsWith':
+      return value.startsWith(expected);
+    case 'endsWith':
+      return value.endsWith(expected);
+    default:
+      return value.includes(expected);
+  }
+};
+
+// Does `transaction` (a document or plain object) satisfy every condition?
+const ruleMatches = (rule, transaction) => {
+  const { title, description, type, minAmount, maxAmount } = rule.conditions;
+
+  return matchesPattern(title, transaction.title) &&
+    matchesPattern(description, transaction.description) &&
+    (!type || type === transaction.type) &&
+    (minAmount === undefined || minAmount === null || transaction.amount >= minAmount) &&
+    (maxAmount === undefined || maxAmount === null || transaction.amount <= maxAmount);
+};
+
+// Run `rules` (from loadRules) against a transaction. The first matching
+// rule with a category of the transaction's type picks the category, the
+// first one with a new title renames it, and tags from every matching rule
+// are added. Returns null when no rule matched.
+const applyRules = (rules, transaction) => {
+  const outcome = { category: null, title: null, tags: [], rules: [] };
+
+  for (const rule of rules) {
+    if (!ruleMatches(rule, transaction)) continue;
+
+    const { category, addTags, setTitle } = rule.actions;
+    if (category && !outcome.category && category.type === transaction.type) {
+      outcome.category = category;
+    }
+    if (setTitle && !outcome.title) {
+      outcome.title = setTitle;
+    }
+    addTags.forEach(tag => {
+      if (!outcome.tags.includes(tag)) outcome.tags.push(tag);
+    });
+    outcome.rules.push(rule._id);
+
+    if (rule.stopProcessing) break;
+  }
+
+  return outcome.rules.length > 0 ? outcome : null;
+};
+
+// Fill in the category, title and tags of new transaction data (with no
+// category of its own) from the user's rules. Returns the rule IDs that
+// matched, so callers can tell whether anything was applied.
+const categorize = (rules, data) => {
+  const outcome = applyRules(rules, data);
+  if (!outcome) return [];
+
+  if (outcome.category) data.category = outcome.category._id;
+  if (outcome.title) data.title = outcome.title;
+  if (outcome.tags.length > 0) {
+    data.tags = [...new Set([...(data.tags || []), ...outcome.tags])];
+  }
+
+  return outcome.rules;
+};
+
+// Work out what re-applying rules would change on existing transactions
+// matching `filter`. Transfers are never touched, and split transactions
+// keep the categories of their lines.
+const planReapply = async (userId, filter, ruleIds) => {
+  const rules = await loadRules(userId, ruleIds);
+  if (rules.length === 0) {
+    return { rules, scanned: 0, changes: [] };
+  }
+
+  const transactions = await Transaction.find({
+    $and: [filter, { type: { $in: ['income', 'expense'] } }]
+  }, 'title description amount type category tags splits')
+    .sort({ date: -1, _id: -1 })
+    .limit(MAX_REAPPLY_TRANSACTIONS)
+    .lean();
+
+  const changes = [];
+  transactions.forEach(transaction => {
+    const outcome = applyRules(rules, transaction);
+    if (!outcome) return;
+
+    const update = {};
+    const fields = [];
+    if (outcome.category && transaction.splits.length === 0 &&
+        String(outcome.category._id) !== String(transaction.category)) {
+      update.category = outcome.category._id;
+      fields.push({ field: 'category', before: transaction.category, after: outcome.category._id });
+    }
+    if (outcome.title && outcome.title !== transaction.title) {
+      update.title = outcome.title;
+      fields.push({ field: 'title', before: transaction.title, after: outcome.title });
+    }
+    const newTags = outcome.tags.filter(tag => !(transaction.tags || []).includes(tag));
+    if (newTags.length > 0) {
+      fields.push({ field: 'tags', before: transaction.tags || [], after: [...(transaction.tags || []), ...newTags] });
+    }
+
+    if (fields.length > 0) {
+      changes.push({
+        transaction: transaction._id,
+        title: transaction.title,
+        rules: outcome.rules,
+        changes: fields,
+        update,
+        addTags: newTags
+      });
+    }
+  });
+
+  return { rules, scanned: transactions.length, changes };
+};
+
+// Write a plan from planReapply. Transactions getting the same change are
+// updated together so each group is one updateMany (and one audit pass).
+const runReapply = async (userId, plan) => {
+  const groups = new Map();
+  plan.changes.forEach(change => {
+    const key = JSON.stringify([change.update, change.addTags]);
+    if (!groups.has(key)) {
+      groups.set(key, { update: change.update, addTags: change.addTags, ids: [] });
+    }
+    groups.get(key).ids.push(change.transaction);
+  });
+
+  let modified = 0;
+  for (const { update, addTags, ids } of groups.values()) {
+    const operation = {};
+    if (Object.keys(update).length > 0) operation.$set = update;
+    if (addTags.length > 0) operation.$addToSet = { tags: { $each: addTags } };
+
+    const result = await Transaction.updateMany({ _id: { $in: ids }, user: userId }, operation);
+    modified += result.modifiedCount;
+  }
+
+  return modified;
+};
+
+module.exports = {
+  MAX_REAPPLY_TRANSACTIONS,
+  loadRules,
+  ruleMatches,
+  applyRules,
+  categorize,
+  planReapply,
+  runReapply
+};
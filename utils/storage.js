@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const streamifier = require('streamifier');
+const cloudinary = require('cloudinary').v2;
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+// Build a unique, filesystem-safe key for an uploaded file
+const buildKey = (folder, filename) => {
+  const ext = path.extname(filename || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+  return `${folder}/${Date.now()}_${crypto.randomBytes(8).toString('hex')}${ext}`;
+};
+
+// Local disk backend - files live under UPLOAD_DIR and are served through
+// the authenticated attachment download route
+const createLocalStorage = (rootDir = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads')) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    save: async ({ buffer, filename, folder }) => {
+      const key = buildKey(folder, filename);
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return { key, url: null };
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    createReadStream: (key) => fs.createReadStream(resolveKey(key))
+  };
+};
+
+// Cloudinary backend - files are served from the Cloudinary CDN url
+const createCloudinaryStorage = () => ({
+  name: 'cloudinary',
+
+  save: ({ buffer, filename, folder }) => {
+    const publicId = buildKey(folder, '').split('/').pop();
+    return new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(
+        { folder, public_id: publicId, resource_type: 'auto', filename_override: filename },
+        (error, result) => result
+          ? resolve({ key: `${result.resource_type}:${result.public_id}`, url: result.secure_url })
+          : reject(error)
+      );
+      streamifier.createReadStream(buffer).pipe(stream);
+    });
+  },
+
+  remove: async (key) => {
+    const [resourceType, ...rest] = key.split(':');
+    await cloudinary.uploader.destroy(rest.join(':'), { resource_type: resourceType });
+  }
+});
+
+const backends = {};
+
+// Get a storage backend by name, defaulting to STORAGE_DRIVER, or Cloudinary
+// when it is configured and local disk otherwise
+const getStorage = (name) => {
+  const driver = name ||
+    process.env.STORAGE_DRIVER ||
+    (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+
+  if (!backends[driver]) {
+    switch (driver) {
+      case 'local':
+        backends[driver] = createLocalStorage();
+        break;
+      case 'cloudinary':
+        backends[driver] = createCloudinaryStorage();
+        break;
+      default:
+        throw new Error(`Unknown storage driver: ${driver}`);
+    }
+  }
+
+  return backends[driver];
+};
+
+// Remove stored files for a list of attachments. Failures are logged rather
+// than thrown so a missing file never blocks deleting its owner.
+const removeAttachments = async (attachments = []) => {
+  await Promise.all(attachments
+    .filter(attachment => attachment.key)
+    .map(async (attachment) => {
+      try {
+        await getStorage(attachment.storage).remove(attachment.key);
+      } catch (error) {
+        console.error(`Failed to remove attachment ${attachment.key}:`, error);
+      }
+    }));
+};
+
+module.exports = {
+  createLocalStorage,
+  createCloudinaryStorage,
+  getStorage,
+  removeAttachments
+};
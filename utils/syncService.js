@@ -0,0 +1,450 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+const Account = require('../models/Account');
+const Payee = require('../models/Payee');
+const Rule = require('../models/Rule');
+const SavedView = require('../models/SavedView');
+const Tombstone = require('../models/Tombstone');
+const AuditLog = require('../models/AuditLog');
+const { afterCursor } = require('./pagination');
+
+// Writes stamped just before a pull can commit after it; each pass starts
+// this far back so they come with the next one (at worst twice)
+const SYNC_LAG_MS = 5000;
+// Most records of each kind sent in one response
+const SYNC_PAGE_SIZE = 500;
+// Most client changes accepted in one push
+const MAX_SYNC_CHANGES = 500;
+const CONFLICT_STRATEGIES = ['merge', 'server-wins', 'client-wins'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Record kinds a client keeps in sync, by their name in responses.
+// Trashed transactions and deactivated categories are sent as deleted
+// (`isDeleted`); a full sync only reads the `current` ones.
+const SYNC_ENTITIES = {
+  transactions: {
+    model: Transaction,
+    entityType: 'Transaction',
+    isDeleted: (record) => Boolean(record.deletedAt)
+  },
+  categories: {
+    model: Category,
+    entityType: 'Category',
+    isDeleted: (record) => record.isActive === false,
+    current: { isActive: true }
+  },
+  accounts: { model: Account, entityType: 'Account' },
+  payees: { model: Payee, entityType: 'Payee', select: '-keys' },
+  rules: { model: Rule, entityType: 'Rule' },
+  views: { model: SavedView, entityType: 'SavedView' }
+};
+
+const syncError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Tokens hold the time the last finished pass started (`s`, null before
+// the first one) and, while a pass is split over several responses, when
+// it started (`n`), the position reached in each kind (`p`) and the kinds
+// already finished (`d`)
+const encodeSyncToken = (state) => Buffer.from(JSON.stringify(state)).toString('base64url');
+
+const decodeSyncToken = (syncToken) => {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(String(syncToken), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw syncError('Invalid sync token');
+  }
+
+  const streams = [...Object.keys(SYNC_ENTITIES), 'tombstones'];
+  const isTime = (value) => Number.isFinite(value) && value > 0;
+  const isPosition = (value) => Array.isArray(value) && value.length === 2 &&
+    isTime(value[0]) && mongoose.isObjectIdOrHexString(value[1]);
+
+  const valid = data && typeof data === 'object' &&
+    (data.s === null || isTime(data.s)) &&
+    (data.n === undefined || isTime(data.n)) &&
+    (data.p === undefined || (data.p && typeof data.p === 'object' &&
+      Object.entries(data.p).every(([name, position]) => streams.includes(name) && isPosition(position)))) &&
+    (data.d === undefined || (Array.isArray(data.d) && data.d.every(name => streams.includes(name))));
+  if (!valid) {
+    throw syncError('Invalid sync token');
+  }
+
+  // Deletions older than the tombstones kept can no longer be sent
+  if (data.s !== null && data.s < Date.now() - Tombstone.TOMBSTONE_DAYS * DAY_MS) {
+    throw syncError('Sync token has expired; start again with a full sync', 410);
+  }
+
+  return {
+    since: data.s,
+    passStart: data.n,
+    positions: data.p || {},
+    done: data.d || []
+  };
+};
+
+// The next records of a kind in (sortBy, _id) order after `position`; one
+// more than a page is read to tell whether the kind has more
+const readPage = (model, filter, sortBy, position, { select, options = {} } = {}) => {
+  const conditions = [filter];
+  if (position) {
+    conditions.push(afterCursor({
+      sortBy,
+      direction: 1,
+      value: new Date(position[0]),
+      id: new mongoose.Types.ObjectId(position[1])
+    }));
+  }
+
+  return model.find({ $and: conditions }, select)
+    .sort({ [sortBy]: 1, _id: 1 })
+    .limit(SYNC_PAGE_SIZE + 1)
+    .setOptions(options)
+    .lean();
+};
+
+// Everything the user's records changed since the token: changed records
+// by kind, ids deleted by kind and the token to pull with next time. With
+// no token every current record is sent. Large pulls are split; `hasMore`
+// means pulling again with the new token continues this one.
+const pullChanges = async (userId, syncToken) => {
+  const token = syncToken
+    ? decodeSyncToken(syncToken)
+    : { since: null, positions: {}, done: [] };
+
+  const passStart = token.passStart || Date.now() - SYNC_LAG_MS;
+  const positions = { ...token.positions };
+  const done = [...token.done];
+  const changes = {};
+  const deleted = {};
+  let hasMore = false;
+
+  // Keep a kind's position, or mark it finished for this pass
+  const advance = (name, page, sortBy) => {
+    if (page.length > SYNC_PAGE_SIZE) {
+      page.pop();
+      const last = page[page.length - 1];
+      positions[name] = [last[sortBy].getTime(), String(last._id)];
+      hasMore = true;
+    } else {
+      delete positions[name];
+      done.push(name);
+    }
+  };
+
+  for (const [name, { model, select, isDeleted, current }] of Object.entries(SYNC_ENTITIES)) {
+    changes[name] = [];
+    deleted[name] = [];
+    if (done.includes(name)) continue;
+
+    const filter = { user: userId };
+    if (token.since !== null) {
+      filter.updatedAt = { $gte: new Date(token.since) };
+    } else {
+      Object.assign(filter, current);
+    }
+
+    // Trash is hidden from transaction queries unless asked for
+    const options = token.since !== null && model === Transaction ? { withDeleted: true } : {};
+    const page = await readPage(model, filter, 'updatedAt', positions[name], { select, options });
+    advance(name, page, 'updatedAt');
+
+    page.forEach(record => {
+      if (isDeleted && isDeleted(record)) {
+        deleted[name].push(record._id);
+      } else {
+        changes[name].push(record);
+      }
+    });
+  }
+
+  if (token.since !== null && !done.includes('tombstones')) {
+    const page = await readPage(
+      Tombstone,
+      { user: userId, deletedAt: { $gte: new Date(token.since) } },
+      'deletedAt',
+      positions.tombstones
+    );
+    advance('tombstones', page, 'deletedAt');
+
+    const names = new Map(Object.entries(SYNC_ENTITIES).map(([name, { entityType }]) => [entityType, name]));
+    page.forEach(tombstone => deleted[names.get(tombstone.entityType)].push(tombstone.entityId));
+  }
+
+  return {
+    changes,
+    deleted,
+    syncToken: encodeSyncToken(hasMore
+      ? { s: token.since, n: passStart, p: positions, d: done }
+      : { s: passStart }),
+    hasMore
+  };
+};
+
+// A category given by server id or by the clientId it was created with
+const resolveCategory = async (userId, reference) => {
+  const filter = mongoose.isObjectIdOrHexString(reference)
+    ? { _id: reference }
+    : { clientId: String(reference) };
+  const category = await Category.findOne({ ...filter, user: userId, isActive: true });
+
+  if (!category) {
+    throw syncError(`Invalid category ${reference}`);
+  }
+  return category._id;
+};
+
+// Check and convert a client's transaction fields before they are set on
+// `record` (null for a create); the model checks the rest on save
+const prepareTransaction = async (user, values, record) => {
+  if (values.category) {
+    values.category = await resolveCategory(user._id, values.category);
+  }
+
+  if (Array.isArray(values.splits)) {
+    for (const split of values.splits) {
+      if (split && split.category) {
+        split.category = await resolveCategory(user._id, split.category);
+      }
+    }
+    if (values.splits.length > 0) {
+      values.category = values.splits[0].category;
+    }
+  }
+
+  if (values.payee) {
+    const payee = await Payee.findOne({ _id: values.payee, user: user._id });
+    if (!payee) {
+      throw syncError('Invalid payee');
+    }
+  }
+
+  if (values.location !== undefined) {
+    values.location = Transaction.toLocation(values.location);
+  }
+
+  if (!record) {
+    values.date = values.date || new Date();
+    values.currency = values.currency || user.currency || 'USD';
+    return values;
+  }
+
+  record.checkUnlocked(values);
+
+  // As on PUT: a status set by the client stays, a date change moves a
+  // completed transaction in or out of waiting for its date
+  const date = values.date !== undefined ? new Date(values.date) : record.date;
+  if (values.status !== undefined) {
+    values.completeOnDate = values.status === 'pending' && date > new Date();
+  } else if (values.date !== undefined && (record.status === 'completed' || record.completeOnDate)) {
+    values.status = date > new Date() ? 'pending' : 'completed';
+    values.completeOnDate = date > new Date();
+  }
+
+  // Moving a split transaction to a single category removes its split
+  if (values.category && values.splits === undefined && record.splits.length > 0) {
+    values.splits = [];
+  }
+
+  return values;
+};
+
+const prepareCategory = async (user, values, record) => {
+  if (record && record.isDefault) {
+    throw syncError('Cannot update default categories');
+  }
+  if (values.color !== undefined && !/^#[0-9A-F]{6}$/i.test(values.color)) {
+    throw syncError('Color must be a valid hex color');
+  }
+  if (values.icon !== undefined && String(values.icon).length > 10) {
+    throw syncError('Icon cannot be more than 10 characters');
+  }
+  return values;
+};
+
+// Record kinds clients can change, with the fields they may set. `type`
+// is only set when the record is created.
+const WRITABLE_ENTITIES = {
+  transactions: {
+    model: Transaction,
+    entityType: 'Transaction',
+    readOptions: { withDeleted: true },
+    fields: [
+      'title', 'description', 'amount', 'type', 'category', 'splits', 'account', 'toAccount',
+      'toAmount', 'payee', 'currency', 'date', 'tags', 'notes', 'location', 'status'
+    ],
+    prepare: prepareTransaction,
+    isDeleted: (record) => Boolean(record.deletedAt),
+    remove: (record) => {
+      record.checkUnlocked();
+      record.deletedAt = new Date();
+    }
+  },
+  categories: {
+    model: Category,
+    entityType: 'Category',
+    readOptions: {},
+    fields: ['name', 'type', 'icon', 'color', 'description'],
+    prepare: prepareCategory,
+    isDeleted: (record) => !record.isActive,
+    remove: (record) => {
+      if (record.isDefault) {
+        throw syncError('Cannot delete default categories');
+      }
+      record.isActive = false;
+    }
+  }
+};
+
+const pickFields = (data, fields) => fields.reduce((values, field) => {
+  if (data && data[field] !== undefined) values[field] = data[field];
+  return values;
+}, {});
+
+// Fields changed on the server after the version a client started from.
+// The first audit entry at that time is the one that made the version
+// itself, unless it came well after it.
+const BASE_ENTRY_WINDOW_MS = 1000;
+
+const changedSince = async (entityType, entityId, base) => {
+  const entries = await AuditLog.find(
+    { entityType, entityId, createdAt: { $gte: base } },
+    'changes.field createdAt'
+  ).sort({ version: 1 }).lean();
+
+  if (entries.length > 0 && entries[0].createdAt - base < BASE_ENTRY_WINDOW_MS) {
+    entries.shift();
+  }
+  return new Set(entries.flatMap(entry => entry.changes.map(change => change.field)));
+};
+
+const outcome = (change, status, details = {}) => ({
+  entity: change.entity,
+  action: change.action,
+  clientId: change.clientId,
+  id: details.record ? details.record._id : change.id,
+  status,
+  ...details
+});
+
+const createRecord = async (user, change, config) => {
+  if (!change.clientId) {
+    return outcome(change, 'rejected', { message: 'clientId is required to create a record' });
+  }
+
+  // A create sent again (its response was lost) returns the first one
+  const existing = await config.model.findOne({ user: user._id, clientId: change.clientId })
+    .setOptions(config.readOptions);
+  if (existing) {
+    return outcome(change, 'applied', { record: existing });
+  }
+
+  const values = await config.prepare(user, pickFields(change.data, config.fields), null);
+  const record = await config.model.create({ ...values, clientId: change.clientId, user: user._id });
+  return outcome(change, 'applied', { record });
+};
+
+// Update or delete a record the client read at `baseUpdatedAt`. If it has
+// changed since, `server-wins` keeps the server's version, `client-wins`
+// applies the client's anyway and `merge` applies the client's fields the
+// server did not also change. Deleting a changed record is only done for
+// `client-wins`.
+const changeRecord = async (user, change, strategy, config) => {
+  const record = await config.model.findOne({
+    user: user._id,
+    ...(change.id ? { _id: change.id } : { clientId: change.clientId })
+  }).setOptions(config.readOptions);
+
+  if (!record || config.isDeleted(record)) {
+    return change.action === 'delete'
+      ? outcome(change, 'applied', { message: 'Already deleted' })
+      : outcome(change, 'conflict', { message: 'Record was deleted on the server', record });
+  }
+
+  if (!change.baseUpdatedAt) {
+    return outcome(change, 'rejected', { message: 'baseUpdatedAt is required to update or delete a record' });
+  }
+
+  const base = new Date(change.baseUpdatedAt);
+  const values = pickFields(change.data, config.fields.filter(field => field !== 'type'));
+  let conflicts = [];
+
+  if (record.updatedAt > base && strategy !== 'client-wins') {
+    if (change.action === 'delete' || strategy === 'server-wins') {
+      return outcome(change, 'conflict', { message: 'Record was changed on the server', record });
+    }
+
+    const serverChanges = await changedSince(config.entityType, record._id, base);
+    conflicts = Object.keys(values).filter(field => serverChanges.has(field));
+    conflicts.forEach(field => delete values[field]);
+
+    if (conflicts.length > 0 && Object.keys(values).length === 0) {
+      return outcome(change, 'conflict', { message: 'Record was changed on the server', conflicts, record });
+    }
+  }
+
+  if (change.action === 'delete') {
+    config.remove(record);
+  } else {
+    record.set(await config.prepare(user, values, record));
+  }
+
+  // Only if nothing else saved it since it was read
+  record.$where = { updatedAt: record.updatedAt };
+  try {
+    await record.save();
+  } catch (error) {
+    if (error.name !== 'DocumentNotFoundError') throw error;
+    const current = await config.model.findById(record._id).setOptions(config.readOptions);
+    return outcome(change, 'conflict', { message: 'Record was changed on the server', record: current });
+  }
+
+  return outcome(change, conflicts.length > 0 ? 'merged' : 'applied', {
+    record,
+    ...(conflicts.length > 0 ? { conflicts } : {})
+  });
+};
+
+// Apply a client's changes in order, so a transaction can use a category
+// created earlier in the same batch (by its clientId). Each change gets a
+// result: applied, merged (some fields kept the server's value, listed in
+// `conflicts`), conflict (nothing changed; `record` is the server's
+// version) or rejected (invalid, with a message).
+const applyChanges = async (user, changes, strategy = 'merge') => {
+  const results = [];
+
+  for (const change of changes) {
+    const config = WRITABLE_ENTITIES[change.entity];
+
+    try {
+      results.push(change.action === 'create'
+        ? await createRecord(user, change, config)
+        : await changeRecord(user, change, strategy, config));
+    } catch (error) {
+      const invalid = error.statusCode === 400 || error.code === 11000 ||
+        error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError;
+      if (!invalid) throw error;
+
+      results.push(outcome(change, 'rejected', {
+        message: error.code === 11000 ? 'Conflicts with an existing record' : error.message
+      }));
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  SYNC_ENTITIES,
+  WRITABLE_ENTITIES,
+  MAX_SYNC_CHANGES,
+  CONFLICT_STRATEGIES,
+  decodeSyncToken,
+  pullChanges,
+  applyChanges
+};
@@ -0,0 +1,98 @@
+const Transaction = require('../models/Transaction');
+const Rule = require('../models/Rule');
+const { escapeRegex } = require('./transactionFilters');
+
+// Most suggestions returned by one autocomplete request
+const MAX_SUGGESTIONS = 50;
+
+// Tags with their usage among the transactions matching `filter` (an
+// aggregation filter), in the user's currency
+const getTagStats = (userId, filter, baseCurrency) => Transaction.aggregate([
+  { $match: { user: userId, 'tags.0': { $exists: true }, $and: [filter] } },
+  ...Transaction.currencyStages(baseCurrency),
+  { $unwind: '$tags' },
+  {
+    $group: {
+      _id: '$tags',
+      count: { $sum: 1 },
+      income: { $sum: { $cond: [{ $eq: ['$type', 'income'] }, '$baseAmount', 0] } },
+      expense: { $sum: { $cond: [{ $eq: ['$type', 'expense'] }, '$baseAmount', 0] } },
+      lastUsed: { $max: '$date' }
+    }
+  },
+  {
+    $project: {
+      _id: 0,
+      tag: '$_id',
+      count: 1,
+      income: 1,
+      expense: 1,
+      lastUsed: 1
+    }
+  }
+]);
+
+// Tags starting with `prefix` (ignoring case), most used first. Tags keep
+// the case they were saved with, so the regex cannot bound a range of the
+// { user, tags } index: the index only narrows the search to the user, and
+// every transaction with a matching tag is read to count its tags.
+const suggestTags = (userId, prefix, limit) => {
+  const match = { $regex: `^${escapeRegex(prefix)}`, $options: 'i' };
+
+  return Transaction.aggregate([
+    { $match: { user: userId, tags: match } },
+    { $project: { tags: 1 } },
+    { $unwind: '$tags' },
+    { $match: { tags: match } },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: Math.min(limit, MAX_SUGGESTIONS) },
+    { $project: { _id: 0, tag: '$_id', count: 1 } }
+  ]);
+};
+
+// Replace each of `tags` with `target` on every transaction (trashed ones
+// too, so restoring them brings back no old tags) and in rule actions.
+// Renaming is merging one tag. Returns the number of transactions changed.
+const mergeTags = async (userId, tags, target) => {
+  const sources = tags.filter(tag => tag !== target);
+  if (sources.length === 0) return 0;
+
+  // Adding first keeps the filter matching until the sources are pulled;
+  // every matched transaction changes, even those that had the target
+  const filter = { user: userId, tags: { $in: sources } };
+  const result = await Transaction.updateMany(filter, { $addToSet: { tags: target } })
+    .setOptions({ withDeleted: true });
+  await Transaction.updateMany(filter, { $pullAll: { tags: sources } })
+    .setOptions({ withDeleted: true });
+
+  const ruleFilter = { user: userId, 'actions.addTags': { $in: sources } };
+  await Rule.updateMany(ruleFilter, { $addToSet: { 'actions.addTags': target } });
+  await Rule.updateMany(ruleFilter, { $pullAll: { 'actions.addTags': sources } });
+
+  return result.matchedCount;
+};
+
+// Remove `tag` from every transaction and rule. Returns the number of
+// transactions changed.
+const deleteTag = async (userId, tag) => {
+  const result = await Transaction.updateMany(
+    { user: userId, tags: tag },
+    { $pull: { tags: tag } }
+  ).setOptions({ withDeleted: true });
+
+  await Rule.updateMany(
+    { user: userId, 'actions.addTags': tag },
+    { $pull: { 'actions.addTags': tag } }
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  MAX_SUGGESTIONS,
+  getTagStats,
+  suggestTags,
+  mergeTags,
+  deleteTag
+};
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Records matched by a delete query, between its pre and post hooks
+const pendingDeletes = new WeakMap();
+
+// Loaded on first use: the models using the plugin are defined before it
+const recordTombstones = async (entityType, docs) => {
+  if (docs.length === 0) return;
+
+  try {
+    await mongoose.model('Tombstone').insertMany(docs.map(doc => ({
+      user: doc.user,
+      entityType,
+      entityId: doc._id
+    })));
+  } catch (error) {
+    // A missing tombstone only leaves a stale record on a sync client
+    console.error('Tombstone record error:', error);
+  }
+};
+
+// Mongoose plugin leaving a tombstone for every record removed from the
+// database, so sync clients learn about the deletion
+const tombstonePlugin = (schema, { entityType }) => {
+  const readOptions = schema.path('deletedAt') ? { withDeleted: true } : {};
+  const queryHook = { document: false, query: true };
+
+  schema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], queryHook, async function() {
+    const query = this.model.find(this.getFilter(), 'user').setOptions(readOptions).lean();
+    if (this.op !== 'deleteMany') query.limit(1);
+    pendingDeletes.set(this, await query);
+  });
+
+  schema.post(['deleteOne', 'deleteMany', 'findOneAndDelete'], queryHook, async function() {
+    const deleted = pendingDeletes.get(this) || [];
+    pendingDeletes.delete(this);
+    await recordTombstones(entityType, deleted);
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    await recordTombstones(entityType, [doc]);
+  });
+};
+
+module.exports = {
+  tombstonePlugin
+};
@@ -0,0 +1,341 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+
+const MAX_SEARCH_LENGTH = 200;
+const MAX_SEARCH_TERMS = 20;
+
+// Characters kept inside a search term; everything else separates words
+const cleanTerm = (term) => term.replace(/[^\p{L}\p{N}_@&.'-]+/gu, ' ').replace(/^-+/, '').trim();
+
+// Turn free text into a safe $text search string. Supports bare words,
+// "quoted phrases" and -excluded words; returns null when nothing searchable
+// is left, since $text needs at least one word to include.
+const parseSearchQuery = (search) => {
+  const input = String(search || '').slice(0, MAX_SEARCH_LENGTH);
+  const words = [];
+  const phrases = [];
+  const excluded = [];
+
+  const tokens = input.match(/-?"[^"]*"?|\S+/g) || [];
+  tokens.slice(0, MAX_SEARCH_TERMS).forEach(token => {
+    const negated = token.startsWith('-');
+    const body = negated ? token.slice(1) : token;
+
+    if (body.startsWith('"')) {
+      const phrase = cleanTerm(body.replace(/"/g, ''));
+      if (!phrase) return;
+      if (negated) excluded.push(...phrase.split(/\s+/));
+      else phrases.push(phrase);
+      return;
+    }
+
+    const parts = cleanTerm(body).split(/\s+/).filter(Boolean);
+    if (negated) excluded.push(...parts);
+    else words.push(...parts);
+  });
+
+  if (words.length === 0 && phrases.length === 0) {
+    return null;
+  }
+
+  return [
+    ...words,
+    ...phrases.map(phrase => `"${phrase}"`),
+    ...excluded.map(word => `-${word}`)
+  ].join(' ');
+};
+
+const TYPES = ['income', 'expense', 'transfer'];
+const FILTER_PARAMS = [
+  'type', 'status', 'category', 'payee', 'account', 'minAmount', 'maxAmount', 'startDate', 'endDate',
+  'tags', 'tagMatch', 'excludeTags', 'hasAttachments', 'recurring', 'location', 'near', 'radius', 'bbox',
+  'search'
+];
+const STATUSES = ['completed', 'pending', 'cancelled'];
+const MAX_LIST_ITEMS = 50;
+
+// Search radius around `near`, in meters
+const DEFAULT_RADIUS = 1000;
+const MAX_RADIUS = 100000;
+const EARTH_RADIUS_METERS = 6378100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Accept "a,b", repeated parameters (?tag=a&tag=b) or an array in a JSON body
+const toList = (value) => {
+  const items = Array.isArray(value) ? value : [value];
+  if (items.some(item => typeof item !== 'string')) return null;
+  return items.flatMap(item => item.split(',')).map(item => item.trim()).filter(Boolean);
+};
+
+// Parse "n1,n2,..." into `count` numbers, or null
+const toNumbers = (value, count) => {
+  if (typeof value !== 'string') return null;
+  const numbers = value.split(',').map(part => (part.trim() === '' ? NaN : Number(part)));
+  return numbers.length === count && numbers.every(isFinite) ? numbers : null;
+};
+
+const isLngLat = ([lng, lat]) => Math.abs(lng) <= 180 && Math.abs(lat) <= 90;
+
+const toBoolean = (value) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return null;
+};
+
+// Read and validate the filter parameters shared by the listing, export,
+// bulk and analytics routes. Unset parameters are left out.
+const parseFilterParams = (query = {}) => {
+  const errors = [];
+  const params = {};
+
+  const list = (name, check, message) => {
+    if (query[name] === undefined || query[name] === '') return;
+    const items = toList(query[name]);
+    if (!items || items.length === 0 || items.length > MAX_LIST_ITEMS || !items.every(check)) {
+      errors.push(message);
+      return;
+    }
+    params[name] = [...new Set(items)];
+  };
+
+  list('type', item => TYPES.includes(item), `type must be one or more of ${TYPES.join(', ')}`);
+  list('status', item => STATUSES.includes(item), `status must be one or more of ${STATUSES.join(', ')}`);
+  list('category', item => mongoose.Types.ObjectId.isValid(item), 'category must be one or more valid category IDs');
+  list('payee', item => mongoose.Types.ObjectId.isValid(item), 'payee must be one or more valid payee IDs');
+  list('tags', item => item.length <= 30, 'tags must be a list of tags up to 30 characters');
+  list('excludeTags', item => item.length <= 30, 'excludeTags must be a list of tags up to 30 characters');
+
+  if (query.tagMatch !== undefined) {
+    if (!['any', 'all'].includes(query.tagMatch)) errors.push('tagMatch must be any or all');
+    else params.tagMatch = query.tagMatch;
+  }
+
+  if (query.account !== undefined && query.account !== '') {
+    if (typeof query.account !== 'string' || !mongoose.Types.ObjectId.isValid(query.account)) {
+      errors.push('account must be a valid account ID');
+    } else {
+      params.account = query.account;
+    }
+  }
+
+  ['minAmount', 'maxAmount'].forEach(name => {
+    if (query[name] === undefined || query[name] === '') return;
+    const amount = typeof query[name] === 'number' ? query[name] : Number(query[name]);
+    if (typeof query[name] === 'object' || isNaN(amount) || amount < 0) {
+      errors.push(`${name} must be a non-negative number`);
+    } else {
+      params[name] = amount;
+    }
+  });
+  if (params.minAmount !== undefined && params.maxAmount !== undefined && params.minAmount > params.maxAmount) {
+    errors.push('minAmount cannot be greater than maxAmount');
+  }
+
+  ['startDate', 'endDate'].forEach(name => {
+    if (query[name] === undefined || query[name] === '') return;
+    const date = typeof query[name] === 'string' ? new Date(query[name]) : null;
+    if (!date || isNaN(date)) errors.push(`${name} must be a valid date`);
+    else params[name] = date;
+  });
+
+  ['hasAttachments', 'recurring'].forEach(name => {
+    if (query[name] === undefined || query[name] === '') return;
+    const flag = toBoolean(query[name]);
+    if (flag === null) errors.push(`${name} must be true or false`);
+    else params[name] = flag;
+  });
+
+  if (query.location !== undefined && query.location !== '') {
+    if (typeof query.location !== 'string' || query.location.length > 100) {
+      errors.push('location must be text up to 100 characters');
+    } else {
+      params.location = query.location.trim();
+    }
+  }
+
+  if (query.near !== undefined && query.near !== '') {
+    const point = toNumbers(query.near, 2);
+    if (!point || !isLngLat(point)) errors.push('near must be "longitude,latitude"');
+    else params.near = point;
+  }
+
+  if (query.radius !== undefined && query.radius !== '') {
+    const radius = typeof query.radius === 'object' ? NaN : Number(query.radius);
+    if (isNaN(radius) || radius <= 0 || radius > MAX_RADIUS) {
+      errors.push(`radius must be a number of meters up to ${MAX_RADIUS}`);
+    } else if (query.near === undefined || query.near === '') {
+      errors.push('radius needs near');
+    } else {
+      params.radius = radius;
+    }
+  }
+
+  if (query.bbox !== undefined && query.bbox !== '') {
+    const box = toNumbers(query.bbox, 4);
+    if (!box || !isLngLat(box.slice(0, 2)) || !isLngLat(box.slice(2)) || box[0] >= box[2] || box[1] >= box[3]) {
+      errors.push('bbox must be "minLongitude,minLatitude,maxLongitude,maxLatitude"');
+    } else if (box[2] - box[0] >= 180) {
+      // Larger boxes are ambiguous as GeoJSON polygons
+      errors.push('bbox must span less than 180 degrees of longitude');
+    } else {
+      params.bbox = box;
+    }
+  }
+
+  if (query.search !== undefined && query.search !== '') {
+    if (typeof query.search !== 'string') errors.push('search must be text');
+    else params.search = query.search;
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid filter: ${errors.join('; ')}`);
+    error.statusCode = 400;
+    error.errors = errors;
+    throw error;
+  }
+
+  return params;
+};
+
+// Build the transaction query used by the listing, export, bulk and
+// analytics routes. Supported parameters:
+//   type, status, category,  one value or a comma-separated list (any of)
+//   payee
+//   account                  either side of a transfer
+//   minAmount, maxAmount     inclusive amount range
+//   startDate, endDate       inclusive date range
+//   tags + tagMatch          tags to match, any (default) or all of them
+//   excludeTags              tags that must not be present
+//   hasAttachments           true or false
+//   recurring                true for recurring templates and their
+//                            occurrences, false for one-off transactions
+//   location                 part of the location name, case-insensitive
+//   near + radius            within `radius` meters (default 1000) of
+//                            "longitude,latitude"
+//   bbox                     inside "minLng,minLat,maxLng,maxLat"
+//   search                   full-text search (see parseSearchQuery)
+// Throws a 400 error listing every invalid parameter.
+const buildTransactionFilter = (userId, query = {}) => {
+  const params = parseFilterParams(query);
+
+  const filter = { user: userId };
+  const conditions = [];
+
+  if (params.type) {
+    filter.type = params.type.length === 1 ? params.type[0] : { $in: params.type };
+  }
+
+  if (params.status) {
+    filter.status = params.status.length === 1 ? params.status[0] : { $in: params.status };
+  }
+
+  // Split transactions match on any of their lines
+  if (params.category) {
+    conditions.push({
+      $or: [
+        { category: { $in: params.category } },
+        { 'splits.category': { $in: params.category } }
+      ]
+    });
+  }
+
+  if (params.payee) {
+    filter.payee = params.payee.length === 1 ? params.payee[0] : { $in: params.payee };
+  }
+
+  // Transfers match on either side
+  if (params.account) {
+    conditions.push({ $or: [{ account: params.account }, { toAccount: params.account }] });
+  }
+
+  if (params.minAmount !== undefined || params.maxAmount !== undefined) {
+    filter.amount = {};
+    if (params.minAmount !== undefined) filter.amount.$gte = params.minAmount;
+    if (params.maxAmount !== undefined) filter.amount.$lte = params.maxAmount;
+  }
+
+  if (params.startDate || params.endDate) {
+    filter.date = {};
+    if (params.startDate) filter.date.$gte = params.startDate;
+    if (params.endDate) filter.date.$lte = params.endDate;
+  }
+
+  if (params.tags || params.excludeTags) {
+    filter.tags = {};
+    if (params.tags) filter.tags[params.tagMatch === 'all' ? '$all' : '$in'] = params.tags;
+    if (params.excludeTags) filter.tags.$nin = params.excludeTags;
+  }
+
+  if (params.hasAttachments !== undefined) {
+    filter['attachments.0'] = { $exists: params.hasAttachments };
+  }
+
+  // Occurrences generated from a template count as recurring too
+  if (params.recurring !== undefined) {
+    conditions.push(params.recurring
+      ? { $or: [{ isRecurring: true }, { recurringSource: { $ne: null } }] }
+      : { isRecurring: { $ne: true }, recurringSource: null });
+  }
+
+  if (params.location) {
+    filter['location.name'] = { $regex: escapeRegex(params.location), $options: 'i' };
+  }
+
+  // $geoWithin rather than $near, so results keep the requested sort and
+  // the filter also works inside aggregations and counts
+  if (params.near) {
+    conditions.push({
+      'location.point': {
+        $geoWithin: { $centerSphere: [params.near, (params.radius || DEFAULT_RADIUS) / EARTH_RADIUS_METERS] }
+      }
+    });
+  }
+
+  if (params.bbox) {
+    const [minLng, minLat, maxLng, maxLat] = params.bbox;
+    conditions.push({
+      'location.point': {
+        $geoWithin: {
+          $geometry: {
+            type: 'Polygon',
+            coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+          }
+        }
+      }
+    });
+  }
+
+  if (conditions.length > 0) {
+    filter.$and = conditions;
+  }
+
+  // Full-text search on the text index (title, description, tags, notes)
+  const text = params.search ? parseSearchQuery(params.search) : null;
+  if (text) {
+    filter.$text = { $search: text };
+  }
+
+  return filter;
+};
+
+// The same filter for use in an aggregation $match, cast to the schema's
+// types (aggregations don't cast). Only completed transactions count unless
+// the query sets a status; `defaults` fill in other unset parameters.
+const buildAggregateFilter = (userId, query = {}, defaults = {}) => {
+  const params = { ...query };
+  Object.entries({ status: 'completed', ...defaults }).forEach(([key, value]) => {
+    if (!params[key]) params[key] = value;
+  });
+
+  return Transaction.find(buildTransactionFilter(userId, params)).cast(Transaction);
+};
+
+module.exports = {
+  FILTER_PARAMS,
+  escapeRegex,
+  parseSearchQuery,
+  parseFilterParams,
+  buildTransactionFilter,
+  buildAggregateFilter
+};
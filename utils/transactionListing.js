@@ -0,0 +1,103 @@
+const Transaction = require('../models/Transaction');
+const { buildTransactionFilter } = require('./transactionFilters');
+const { encodeCursor, decodeCursor, afterCursor } = require('./pagination');
+
+// Listing sort options; relevance only applies to searches
+const SORT_FIELDS = ['date', 'amount', 'title', 'createdAt', 'relevance'];
+
+// Run a text search ranked by relevance. $meta scores can only be compared
+// inside an aggregation, so this pages with the score instead of find().
+const findByRelevance = async (filter, position, skip, limit) => {
+  const pipeline = [
+    { $match: Transaction.find(filter).cast(Transaction) },
+    { $addFields: { score: { $meta: 'textScore' } } }
+  ];
+  if (position) {
+    pipeline.push({ $match: afterCursor({ ...position, sortBy: 'score', direction: -1 }) });
+  }
+  pipeline.push({ $sort: { score: -1, _id: -1 } }, { $skip: skip }, { $limit: limit });
+
+  const results = await Transaction.aggregate(pipeline);
+  const transactions = results.map(result => Transaction.hydrate(result));
+  await Transaction.populate(transactions, { path: 'category', select: 'name icon color type' });
+
+  return transactions.map((transaction, index) => ({
+    ...transaction.toJSON(),
+    score: results[index].score
+  }));
+};
+
+// Fetch one page of a user's transactions the way GET /api/transactions
+// does: the filters of utils/transactionFilters, sortBy/sortOrder, and
+// either page/limit or cursor pagination (paginate=cursor or cursor=...).
+// Throws a 400 error for invalid filters or cursors.
+const listTransactions = async (userId, query = {}) => {
+  const { cursor, paginate } = query;
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+
+  const filter = buildTransactionFilter(userId, query);
+
+  // A cursor carries its own sort; otherwise searches rank by relevance
+  const position = cursor ? decodeCursor(cursor) : null;
+  let sortBy = position ? position.sortBy : query.sortBy || (filter.$text ? 'relevance' : 'date');
+  if (position && (!SORT_FIELDS.includes(sortBy) || (sortBy === 'relevance' && !filter.$text))) {
+    const error = new Error('Pagination cursor does not match this query');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (!SORT_FIELDS.includes(sortBy) || (sortBy === 'relevance' && !filter.$text)) {
+    sortBy = 'date';
+  }
+  const direction = position ? position.direction : (query.sortOrder === 'asc' ? 1 : -1);
+  const useCursor = Boolean(position) || paginate === 'cursor';
+  const skip = useCursor ? 0 : (page - 1) * limit;
+
+  let transactions;
+  if (sortBy === 'relevance') {
+    transactions = await findByRelevance(filter, position, skip, limit + 1);
+  } else {
+    const pageFilter = position ? { $and: [filter, afterCursor({ ...position, sortBy })] } : filter;
+    transactions = await Transaction.find(pageFilter)
+      .populate('category', 'name icon color type')
+      .sort({ [sortBy]: direction, _id: direction })
+      .skip(skip)
+      .limit(limit + 1);
+  }
+
+  // One extra item was fetched to tell whether another page exists
+  const hasMore = transactions.length > limit;
+  transactions = transactions.slice(0, limit);
+
+  let pagination;
+  if (useCursor) {
+    const last = transactions[transactions.length - 1];
+    pagination = {
+      limit,
+      hasMore,
+      nextCursor: hasMore && last
+        ? encodeCursor({
+          sortBy,
+          direction: sortBy === 'relevance' ? -1 : direction,
+          value: sortBy === 'relevance' ? last.score : last[sortBy],
+          id: last._id
+        })
+        : null
+    };
+  } else {
+    const total = await Transaction.countDocuments(filter);
+    pagination = {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+      limit
+    };
+  }
+
+  return { transactions, pagination };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  listTransactions
+};
@@ -0,0 +1,53 @@
+const Transaction = require('../models/Transaction');
+const { removeAttachments } = require('./storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a transaction stays in the trash before it is purged
+const getRetentionDays = () => Math.max(parseInt(process.env.TRASH_RETENTION_DAYS) || 30, 1);
+
+// Permanently delete trashed transactions matching `filter`, along with
+// their stored attachment files
+const deleteTrashed = async (filter) => {
+  const trashedFilter = { deletedAt: { $ne: null }, ...filter };
+
+  const withAttachments = await Transaction.find(
+    { ...trashedFilter, 'attachments.0': { $exists: true } },
+    'attachments'
+  );
+  const result = await Transaction.deleteMany(trashedFilter);
+  await removeAttachments(withAttachments.flatMap(transaction => transaction.attachments));
+
+  return result.deletedCount;
+};
+
+// Purge everything trashed longer ago than the retention period
+const purgeExpiredTrash = (now = new Date()) => deleteTrashed({
+  deletedAt: { $lte: new Date(now.getTime() - getRetentionDays() * DAY_MS) }
+});
+
+// Run the purge at startup and then on a fixed interval
+const startTrashPurgeScheduler = (intervalMs = parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 6 * 60 * 60 * 1000) => {
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredTrash();
+      if (purged > 0) {
+        console.log(`Trash purge: permanently deleted ${purged} transaction(s)`);
+      }
+    } catch (error) {
+      console.error('Trash purge error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getRetentionDays,
+  deleteTrashed,
+  purgeExpiredTrash,
+  startTrashPurgeScheduler
+};
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { onChange, changeEventName } = require('./auditTrail');
+const { isBlockedAddress, hostOf, guardedLookup, targetError } = require('./webhookTargets');
+const { findExceededBudgets } = require('./budgetService');
+
+// Wait before each retry of a failed delivery; it fails for good after
+// the last one
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 6 * 60 * 60 * 1000];
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+// Most due retries sent by one scheduler run
+const RETRY_BATCH_SIZE = 50;
+
+const generateSecret = () => crypto.randomBytes(24).toString('hex');
+
+// Receivers recompute this over the timestamp header and the raw body to
+// check a delivery came from us and is recent
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// POST `body` to a webhook URL and resolve with the response status. The
+// response body is never read: receivers could be made to echo internal
+// data into the delivery log. Redirects are not followed.
+const postToWebhook = (value, headers, body) => new Promise((resolve, reject) => {
+  const url = new URL(value);
+
+  // IP literals skip the lookup, so they are checked here
+  const host = hostOf(url);
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    return reject(targetError());
+  }
+
+  const client = url.protocol === 'https:' ? https : http;
+  const request = client.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: guardedLookup
+  }, (response) => {
+    clearTimeout(timer);
+    response.resume();
+    resolve(response.statusCode);
+  });
+
+  const timer = setTimeout(() => {
+    const error = new Error(`No response within ${DELIVERY_TIMEOUT_MS / 1000} seconds`);
+    request.destroy(error);
+  }, DELIVERY_TIMEOUT_MS);
+
+  request.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  request.end(body);
+});
+
+// Send a delivery once and log the attempt. A 2xx response completes it;
+// anything else schedules a retry until the attempts run out.
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  const startedAt = new Date();
+  const attempt = { at: startedAt };
+  // Deleted webhooks and refused addresses are not worth retrying
+  let final = !webhook;
+
+  if (!webhook) {
+    attempt.error = 'Webhook was deleted';
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(startedAt.getTime() / 1000);
+
+    try {
+      attempt.statusCode = await postToWebhook(webhook.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'IncomeExpense-Webhooks/1.0',
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+      }, body);
+    } catch (error) {
+      attempt.error = error.message;
+      final = error.code === 'EWEBHOOKTARGET';
+    }
+  }
+  attempt.durationMs = Date.now() - startedAt.getTime();
+
+  delivery.attempts.push(attempt);
+  if (attempt.statusCode >= 200 && attempt.statusCode < 300) {
+    delivery.status = 'succeeded';
+    delivery.nextAttemptAt = undefined;
+  } else if (final || delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + RETRY_DELAYS_MS[delivery.attempts.length - 1]);
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+// Deliver now, unless another run already took it. Taking a delivery
+// pushes its due time past the request timeout, so a crash mid-attempt
+// only delays the retry.
+const deliverIfDue = async (deliveryId) => {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + DELIVERY_TIMEOUT_MS * 2) } },
+    { new: true }
+  );
+
+  return delivery ? attemptDelivery(delivery) : null;
+};
+
+const createDelivery = (webhook, event, payload, redeliveryOf) => WebhookDelivery.create({
+  webhook: webhook._id,
+  user: webhook.user,
+  event,
+  eventId: payload.id,
+  payload,
+  nextAttemptAt: new Date(),
+  redeliveryOf
+});
+
+// Queue `event` for those of `webhooks` subscribed to it
+const queueEvent = async (webhooks, event, data) => {
+  const subscribed = webhooks.filter(webhook => webhook.events.includes(event));
+  if (subscribed.length === 0) return [];
+
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    createdAt: new Date(),
+    data
+  };
+
+  return Promise.all(subscribed.map(webhook => createDelivery(webhook, event, payload)));
+};
+
+// Send queued deliveries one after another; failures are left to the
+// retry scheduler
+const sendQueued = async (deliveries) => {
+  for (const delivery of deliveries) {
+    await deliverIfDue(delivery._id);
+  }
+};
+
+// Send a delivery's payload again as a new delivery, keeping its event
+// id, and wait for the first attempt
+const redeliver = async (webhook, delivery) => {
+  const copy = await createDelivery(webhook, delivery.event, delivery.payload, delivery._id);
+  return await deliverIfDue(copy._id) || copy;
+};
+
+// Send a test event to one webhook, whatever it subscribes to, and wait
+// for the first attempt
+const sendPing = async (webhook) => {
+  const payload = {
+    id: crypto.randomUUID(),
+    event: 'ping',
+    createdAt: new Date(),
+    data: {
+      webhook: webhook._id,
+      message: 'Webhook is set up'
+    }
+  };
+
+  const delivery = await createDelivery(webhook, 'ping', payload);
+  return await deliverIfDue(delivery._id) || delivery;
+};
+
+// Turn recorded transaction and category changes into webhook events,
+// looking up each user's webhooks once per batch (imports record many).
+// Budgets are only checked for users with a webhook that wants to know.
+const emitChanges = async (entries) => {
+  const byUser = new Map();
+  entries.forEach(entry => {
+    const key = String(entry.user);
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(entry);
+  });
+
+  for (const [userId, userEntries] of byUser) {
+    const webhooks = await Webhook.find({ user: userId, isActive: true });
+    if (webhooks.length === 0) continue;
+
+    const deliveries = [];
+    for (const entry of userEntries) {
+      const name = entry.entityType.toLowerCase();
+      deliveries.push(...await queueEvent(webhooks, changeEventName(entry), {
+        [name]: { _id: entry.entityId, ...entry.snapshot },
+        changes: entry.changes
+      }));
+    }
+
+    if (webhooks.some(webhook => webhook.events.includes('budget.exceeded'))) {
+      for (const alert of await findExceededBudgets(userId, userEntries)) {
+        deliveries.push(...await queueEvent(webhooks, 'budget.exceeded', alert));
+      }
+    }
+    await sendQueued(deliveries);
+  }
+};
+
+// Send events for every change from now on, and retry due deliveries at
+// startup and then on a fixed interval
+const startWebhookDispatcher = (intervalMs = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MS) || 60 * 1000) => {
+  onChange(entries => {
+    emitChanges(entries).catch(error => console.error('Webhook event error:', error));
+  });
+
+  const run = async () => {
+    try {
+      const due = await WebhookDelivery.find(
+        { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+        '_id'
+      ).sort({ nextAttemptAt: 1 }).limit(RETRY_BATCH_SIZE);
+
+      for (const { _id } of due) {
+        await deliverIfDue(_id);
+      }
+    } catch (error) {
+      console.error('Webhook retry error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  generateSecret,
+  signPayload,
+  redeliver,
+  sendPing,
+  startWebhookDispatcher
+};
@@ -0,0 +1,95 @@
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and
+// reserved ranges. Webhooks must not reach into the server's own network.
+const blockedRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv6'));
+
+// Local receivers (e.g. a test receiver on localhost) need the explicit flag
+const allowPrivateTargets = () => process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+const isBlockedAddress = (address) => {
+  if (allowPrivateTargets()) return false;
+
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are their IPv4 address
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return blockedRanges.check(mapped[1], 'ipv4');
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blockedRanges.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const targetError = () => {
+  const error = new Error('Webhook URL must not point to a private or local address');
+  error.statusCode = 400;
+  error.code = 'EWEBHOOKTARGET';
+  return error;
+};
+
+// Host of a URL, without the brackets around an IPv6 address
+const hostOf = (url) => url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+// DNS lookup for outgoing webhook requests that refuses blocked addresses.
+// It checks the address actually connected to, so a name that changes
+// what it resolves to after the webhook was saved is still caught.
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some(entry => isBlockedAddress(entry.address))) {
+      return callback(targetError());
+    }
+    callback(null, address, family);
+  });
+};
+
+// Throw a 400 error if `url` is not an http(s) URL or points to a blocked
+// address. Names that do not resolve yet are left to delivery time.
+const checkWebhookUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    url = null;
+  }
+
+  if (!url || !['http:', 'https:'].includes(url.protocol) || url.username || url.password) {
+    const error = new Error('Webhook URL must be an http or https URL without credentials');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const host = hostOf(url);
+  if (net.isIP(host)) {
+    if (isBlockedAddress(host)) throw targetError();
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    return;
+  }
+  if (addresses.some(entry => isBlockedAddress(entry.address))) {
+    throw targetError();
+  }
+};
+
+module.exports = {
+  isBlockedAddress,
+  hostOf,
+  guardedLookup,
+  checkWebhookUrl,
+  targetError
+};